@@ -30,7 +30,12 @@ class RefExtractorApp {
             'RefExtractorErrorHandler',
             'RefExtractorDocumentParser',
             'RefExtractorFieldExtractor',
+            'RefExtractorEndNoteParser',
+            'RefExtractorWordSourcesParser',
+            'RefExtractorPapersParser',
             'RefExtractorCitationProcessor',
+            'RefExtractorExtractionPipeline',
+            'RefExtractorBatchProcessor',
             'RefExtractorZoteroIntegration',
             'RefExtractorOutputFormatter',
             'RefExtractorUIController'
@@ -314,6 +319,21 @@ class RefExtractorApp {
                 logger: this.logger,
                 errorHandler: this.errorHandler
             },
+            'RefExtractorEndNoteParser': {
+                config: this.config,
+                logger: this.logger,
+                errorHandler: this.errorHandler
+            },
+            'RefExtractorWordSourcesParser': {
+                config: this.config,
+                logger: this.logger,
+                errorHandler: this.errorHandler
+            },
+            'RefExtractorPapersParser': {
+                config: this.config,
+                logger: this.logger,
+                errorHandler: this.errorHandler
+            },
             'RefExtractorCitationProcessor': {
                 config: this.config,
                 logger: this.logger,
@@ -0,0 +1,403 @@
+/**
+ * @fileoverview 批处理模块 - 一次处理多个文档（多选文件、拖放文件夹或文档压缩包），合并为一个去重的条目集
+ * @version 1.0.0
+ * @author Reference Extractor Team
+ */
+
+/**
+ * RefExtractor批处理器
+ * 先将选择的文件展开为文档列表（.zip压缩包中的文档逐个取出），再依次通过提取流程处理，
+ * 最后由CitationProcessor.mergeResults合并各文档的引用
+ */
+window.RefExtractorBatchProcessor = (function() {
+    'use strict';
+
+    /**
+     * 获取配置的辅助函数
+     * @param {string} path - 配置路径
+     * @param {*} defaultValue - 默认值
+     * @returns {*} 配置值
+     */
+    function getConfig(path, defaultValue) {
+        if (window.RefExtractorConfig && window.RefExtractorConfig.get) {
+            return window.RefExtractorConfig.get(path, defaultValue);
+        }
+        return defaultValue;
+    }
+
+    /**
+     * 获取日志器实例
+     * @returns {object} 日志器对象
+     */
+    function getLogger() {
+        return window.RefExtractorLogger || {
+            error: console.error.bind(console),
+            warn: console.warn.bind(console),
+            info: console.info.bind(console),
+            debug: console.log.bind(console),
+            startTiming: () => {},
+            endTiming: () => 0
+        };
+    }
+
+    /**
+     * 获取必需的模块
+     * @param {string} name - 全局模块名称
+     * @returns {object} 模块对象
+     */
+    function requireModule(name) {
+        const module = window[name];
+        if (!module) {
+            throw new Error(`${name} not available`);
+        }
+        return module;
+    }
+
+    /**
+     * 取消信号已触发时抛出AbortError
+     * @param {AbortSignal} signal - 取消信号
+     */
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw signal.reason && signal.reason.name === 'AbortError'
+                ? signal.reason
+                : new DOMException('Extraction was cancelled', 'AbortError');
+        }
+    }
+
+    /**
+     * 获取文件扩展名（小写，含点号）
+     * @param {string} fileName - 文件名
+     * @returns {string} 扩展名
+     */
+    function getFileExtension(fileName) {
+        const dotIndex = fileName.lastIndexOf('.');
+        return dotIndex === -1 ? '' : fileName.slice(dotIndex).toLowerCase();
+    }
+
+    /**
+     * 检查路径是否应跳过（Word锁定文件、隐藏文件和macOS资源目录）
+     * @param {string} path - 文件路径（以/分隔）
+     * @returns {boolean} 是否跳过
+     */
+    function isIgnoredPath(path) {
+        const segments = path.split('/').filter(Boolean);
+        const fileName = segments.pop() || '';
+        const ignoredFolders = getConfig('BATCH.IGNORED_FOLDERS', ['__MACOSX']);
+
+        return getConfig('BATCH.IGNORED_NAME_PREFIXES', ['~$', '.']).some(prefix => fileName.startsWith(prefix)) ||
+            segments.some(segment => ignoredFolders.includes(segment));
+    }
+
+    /**
+     * 检查文件是否为文档压缩包
+     * @param {string} path - 文件路径
+     * @returns {boolean} 是否为压缩包
+     */
+    function isDocumentArchive(path) {
+        return getConfig('BATCH.ARCHIVE_EXTENSIONS', ['.zip']).includes(getFileExtension(path));
+    }
+
+    /**
+     * 检查文件是否为支持的文档类型
+     * @param {string} path - 文件路径
+     * @returns {boolean} 是否支持
+     */
+    function isSupportedDocument(path) {
+        return getConfig('SUPPORTED_FORMATS.EXTENSIONS', ['.docx', '.odt']).includes(getFileExtension(path));
+    }
+
+    /**
+     * 取出压缩包中支持的文档（与文档解析使用相同的解压限制）
+     * @param {File} archive - 压缩包文件
+     * @param {string} archivePath - 压缩包路径
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<object>} {documents: [{file, path}], skipped: [path]}
+     */
+    async function expandArchive(archive, archivePath, signal) {
+        const logger = getLogger();
+        const documentParser = requireModule('RefExtractorDocumentParser');
+        const zip = await documentParser.loadArchive(archive);
+        const documents = [];
+        const skipped = [];
+
+        const entries = Object.values(zip.files).filter(entry => !entry.dir);
+        for (const entry of entries) {
+            throwIfAborted(signal);
+
+            const path = `${archivePath}/${entry.name}`;
+            if (isIgnoredPath(entry.name)) {
+                continue;
+            }
+            if (!isSupportedDocument(entry.name)) {
+                skipped.push(path);
+                continue;
+            }
+
+            const content = await documentParser.readArchiveEntry(zip, entry.name, 'uint8array');
+            const fileName = entry.name.split('/').pop();
+            documents.push({ file: new File([content], fileName, { lastModified: entry.date.getTime() }), path });
+        }
+
+        logger.info('Document archive expanded', {
+            archive: archivePath,
+            documentCount: documents.length,
+            skippedCount: skipped.length
+        });
+
+        return { documents, skipped };
+    }
+
+    /**
+     * 将选择的文件展开为文档列表
+     * @param {array} inputs - File数组，或{file, path}数组（拖放的文件夹保留相对路径）
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<object>} {documents: [{file, path}], skipped: [path]}
+     */
+    async function expandInputs(inputs, signal) {
+        const documents = [];
+        const skipped = [];
+
+        for (const input of inputs) {
+            throwIfAborted(signal);
+
+            const file = input instanceof Blob ? input : input.file;
+            const path = (input instanceof Blob ? file.webkitRelativePath : input.path) || file.name;
+
+            if (isIgnoredPath(path)) {
+                continue;
+            }
+
+            if (isDocumentArchive(path)) {
+                const expanded = await expandArchive(file, path, signal);
+                documents.push(...expanded.documents);
+                skipped.push(...expanded.skipped);
+            } else if (isSupportedDocument(path)) {
+                documents.push({ file, path });
+            } else {
+                skipped.push(path);
+            }
+        }
+
+        return { documents, skipped };
+    }
+
+    /**
+     * 读取拖放的目录项中的所有文件
+     * @param {FileSystemEntry} entry - 文件或目录项
+     * @returns {Promise<array>} {file, path}数组
+     */
+    async function readEntry(entry) {
+        const path = entry.fullPath.replace(/^\//, '');
+
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            return [{ file, path }];
+        }
+
+        // readEntries每次只返回一部分目录项，需要重复调用直到返回空数组
+        const reader = entry.createReader();
+        const children = [];
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            children.push(...batch);
+        } while (batch.length > 0);
+
+        const files = [];
+        for (const child of children) {
+            files.push(...await readEntry(child));
+        }
+        return files;
+    }
+
+    /**
+     * 合并各文档的样式信息
+     * @param {array} styleInfos - 样式信息数组
+     * @returns {object} 合并后的样式信息（combined和cleaned为去重后的列表）
+     */
+    function mergeStyleInfo(styleInfos) {
+        const join = key => [...new Set(styleInfos
+            .flatMap(styleInfo => ((styleInfo && styleInfo[key]) || '').split(', '))
+            .filter(style => style.length > 0))].join(', ');
+
+        const combined = join('combined');
+        return {
+            combined,
+            cleaned: join('cleaned'),
+            hasStyle: combined.length > 0
+        };
+    }
+
+    /**
+     * 依次处理文档并合并结果
+     * 单个文档失败时记录错误并继续处理其余文档；所有文档都失败时抛出第一个错误
+     * @param {array} documents - 文档列表（{file, path}）
+     * @param {object} options - 选项（revisionMode、onProgress、signal）
+     * @returns {Promise<object>} 批处理结果
+     */
+    async function processDocuments(documents, options) {
+        const logger = getLogger();
+        const pipeline = requireModule('RefExtractorExtractionPipeline');
+        const { revisionMode, onProgress, signal } = options;
+        const results = [];
+        const errors = [];
+
+        for (let index = 0; index < documents.length; index++) {
+            const { file, path } = documents[index];
+            throwIfAborted(signal);
+
+            try {
+                const result = await pipeline.extract(file, {
+                    revisionMode,
+                    signal,
+                    onProgress: progressEvent => {
+                        if (typeof onProgress !== 'function') {
+                            return;
+                        }
+                        // 每个文档在总进度中占相同的份额
+                        onProgress({
+                            ...progressEvent,
+                            progress: Math.round((index * 100 + progressEvent.progress) / documents.length),
+                            message: documents.length > 1
+                                ? `${progressEvent.message} (${index + 1}/${documents.length})`
+                                : progressEvent.message,
+                            fileName: path,
+                            documentIndex: index,
+                            documentCount: documents.length
+                        });
+                    }
+                });
+                results.push({ path, ...result });
+            } catch (error) {
+                if (pipeline.isAbortError(error) || documents.length === 1) {
+                    throw error;
+                }
+
+                logger.warn('Document extraction failed, continuing with the next document', {
+                    path,
+                    error: error.message
+                });
+                errors.push(error);
+                results.push({ path, error: pipeline.serializeError(error) });
+            }
+        }
+
+        const succeeded = results.filter(result => !result.error);
+        if (succeeded.length === 0) {
+            throw errors[0];
+        }
+
+        const merged = requireModule('RefExtractorCitationProcessor').mergeResults(
+            succeeded.map(result => ({ fileName: result.path, citationResult: result.citationResult }))
+        );
+
+        // 单个文档保留自身的处理结果（参考文献表、来源和修订汇总），只补充矩阵和带文档名的引用实例
+        const citationResult = documents.length === 1
+            ? {
+                ...succeeded[0].citationResult,
+                documentMatrix: merged.documentMatrix,
+                citationInstances: merged.citationInstances
+            }
+            : merged;
+
+        return {
+            documents: results,
+            failedCount: results.length - succeeded.length,
+            // 从损坏的压缩包中部分恢复的文档，结果可能不完整
+            recoveredCount: succeeded.filter(result => result.document && result.document.recovery).length,
+            // 有部件不是格式正确的XML、由容错字段扫描器读取的文档
+            fallbackCount: succeeded.filter(result => result.fallbackParts && result.fallbackParts.length > 0).length,
+            styleInfo: documents.length === 1
+                ? succeeded[0].styleInfo
+                : mergeStyleInfo(succeeded.map(result => result.styleInfo)),
+            citationResult
+        };
+    }
+
+    // 公共API
+    const BatchProcessor = {
+        /**
+         * 处理选择的文件并合并为一个条目集
+         * .zip压缩包中的文档会被逐个取出，不支持的文件被跳过
+         * @param {array} inputs - File数组（FileList需先转换），或collectDroppedFiles返回的{file, path}数组
+         * @param {object} options - 选项
+         * @param {string} options.revisionMode - 修订视图
+         * @param {function} options.onProgress - 进度回调（事件另含documentIndex和documentCount）
+         * @param {AbortSignal} options.signal - 取消信号，触发后以AbortError拒绝
+         * @returns {Promise<object>} 批处理结果（documents、skipped、failedCount、recoveredCount、fallbackCount、styleInfo、citationResult）
+         */
+        async process(inputs, options = {}) {
+            const logger = getLogger();
+            const { onProgress, signal } = options;
+
+            logger.startTiming('batch_processing');
+            logger.info('Starting batch processing', { inputCount: inputs.length });
+
+            if (typeof onProgress === 'function') {
+                onProgress({
+                    stage: 'collect',
+                    stageProgress: 0,
+                    progress: 0,
+                    message: getConfig('BATCH.COLLECT_LABEL', 'Collecting documents'),
+                    fileName: ''
+                });
+            }
+
+            const { documents, skipped } = await expandInputs(inputs, signal);
+            if (skipped.length > 0) {
+                logger.info('Unsupported files skipped', { skipped });
+            }
+
+            if (documents.length === 0) {
+                throw new Error('No supported documents found. Please select Word (.docx, .docm, .dotx, .dotm, .xml, .doc), RTF (.rtf) or LibreOffice (.odt, .fodt) files, or a .zip archive of them.');
+            }
+
+            const result = await processDocuments(documents, options);
+
+            logger.endTiming('batch_processing');
+            logger.info('Batch processing completed', {
+                documentCount: documents.length,
+                failedCount: result.failedCount,
+                citationCount: result.citationResult.citations.length
+            });
+
+            return { ...result, skipped };
+        },
+
+        /**
+         * 读取拖放的文件和文件夹
+         * 必须在drop事件处理函数中同步调用，事件结束后DataTransfer中的项目不可再访问
+         * @param {DataTransfer} dataTransfer - 拖放数据
+         * @returns {Promise<array>} {file, path}数组
+         */
+        collectDroppedFiles(dataTransfer) {
+            const entries = Array.from(dataTransfer.items || [])
+                .filter(item => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+                .map(item => item.webkitGetAsEntry())
+                .filter(Boolean);
+
+            if (entries.length === 0) {
+                return Promise.resolve(Array.from(dataTransfer.files || []).map(file => ({ file, path: file.name })));
+            }
+
+            return Promise.all(entries.map(readEntry)).then(files => files.flat());
+        },
+
+        /**
+         * 检查文件是否为文档压缩包
+         * @param {File} file - 文件
+         * @returns {boolean} 是否为压缩包
+         */
+        isDocumentArchive(file) {
+            return !!file && !!file.name && isDocumentArchive(file.name);
+        }
+    };
+
+    return BatchProcessor;
+})();
+
+// 导出模块（兼容不同模块系统）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.RefExtractorBatchProcessor;
+}
@@ -13,11 +13,20 @@ window.RefExtractorCitationProcessor = (function() {
 
     // 私有变量
     let processedCitations = [];
+    let citationSources = null;
     let processingStats = {
         totalFields: 0,
         validCitations: 0,
         duplicatesRemoved: 0,
         citesWithoutMetadata: 0,
+        uncitedItems: 0,
+        customBibliographyEntries: 0,
+        notesOnlyItems: 0,
+        embeddedOnlyItems: 0,
+        insertedCitations: 0,
+        deletedCitations: 0,
+        repairedFields: 0,
+        lostFields: 0,
         processingTime: 0
     };
 
@@ -62,113 +71,1071 @@ window.RefExtractorCitationProcessor = (function() {
         };
     }
 
+    /**
+     * Citavi文献类型到CSL类型的映射
+     */
+    const CITAVI_TYPE_MAP = {
+        JournalArticle: 'article-journal',
+        NewspaperArticle: 'article-newspaper',
+        Book: 'book',
+        BookEdited: 'book',
+        ConferenceProceedings: 'book',
+        Contribution: 'chapter',
+        ContributionInLegalCommentary: 'chapter',
+        Thesis: 'thesis',
+        InternetDocument: 'webpage',
+        UnpublishedWork: 'manuscript',
+        Manuscript: 'manuscript',
+        Lecture: 'speech',
+        Patent: 'patent',
+        SoftWare: 'software',
+        Standard: 'standard',
+        StatuteOrRegulation: 'legislation',
+        CourtDecision: 'legal_case',
+        Map: 'map',
+        PersonalCommunication: 'personal_communication',
+        PressRelease: 'article',
+        SpecialIssue: 'book'
+    };
+
+    /**
+     * 解码Base64编码的UTF-8文本
+     * @param {string} encoded - Base64字符串
+     * @returns {string} 解码后的文本
+     */
+    function decodeBase64Text(encoded) {
+        const binary = atob(encoded.replace(/\s+/g, ''));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new TextDecoder('utf-8').decode(bytes).replace(/^\uFEFF/, '');
+    }
+
+    /**
+     * 解码Citavi占位符载荷（Base64编码的UTF-8 JSON）
+     * @param {string} payload - 载荷字符串
+     * @returns {object} 解析后的JSON对象
+     */
+    function decodeCitaviPayload(payload) {
+        let json = payload.trim();
+
+        if (json.charAt(0) !== '{') {
+            json = decodeBase64Text(json);
+        }
+
+        return resolveJsonReferences(JSON.parse(json.replace(/^\uFEFF/, '')));
+    }
+
+    /**
+     * 解析Json.NET对象引用（$id/$ref）
+     * Citavi只完整序列化重复对象一次，后续出现位置使用{"$ref": id}
+     * @param {object} root - 根对象
+     * @returns {object} 引用已替换的对象
+     */
+    function resolveJsonReferences(root) {
+        const objectsById = new Map();
+
+        const collect = value => {
+            if (!value || typeof value !== 'object') {
+                return;
+            }
+            if (!Array.isArray(value) && typeof value.$id === 'string') {
+                objectsById.set(value.$id, value);
+            }
+            Object.keys(value).forEach(key => collect(value[key]));
+        };
+
+        const resolve = value => {
+            if (!value || typeof value !== 'object') {
+                return value;
+            }
+            if (!Array.isArray(value) && typeof value.$ref === 'string') {
+                return objectsById.get(value.$ref) || null;
+            }
+            Object.keys(value).forEach(key => {
+                value[key] = resolve(value[key]);
+            });
+            return value;
+        };
+
+        collect(root);
+        return resolve(root);
+    }
+
+    /**
+     * 转换Citavi人员列表为CSL姓名数组
+     * @param {array} persons - Citavi人员数组
+     * @returns {array} CSL姓名数组
+     */
+    function convertCitaviPersons(persons) {
+        if (!Array.isArray(persons)) {
+            return [];
+        }
+
+        return persons.filter(person => person && person.LastName).map(person => {
+            const given = [person.FirstName, person.MiddleName].filter(Boolean).join(' ');
+            const name = { family: person.LastName };
+            if (given) name.given = given;
+            if (person.Prefix) name['non-dropping-particle'] = person.Prefix;
+            return name;
+        });
+    }
+
+    /**
+     * 读取Citavi页码范围的原始字符串
+     * 页码范围以<sp>…</sp><ep>…</ep><os>原始字符串</os>的形式存储
+     * @param {string|object} pageRange - 页码范围
+     * @returns {string} 页码字符串
+     */
+    function getCitaviPageRange(pageRange) {
+        if (!pageRange) {
+            return '';
+        }
+        if (typeof pageRange === 'object') {
+            return String(pageRange.OriginalString || '').trim();
+        }
+
+        const outer = String(pageRange)
+            .replace(/<sp>[\s\S]*?<\/sp>/g, '')
+            .replace(/<ep>[\s\S]*?<\/ep>/g, '');
+        const match = outer.match(/<os>([\s\S]*?)<\/os>/);
+        if (match) {
+            return match[1].trim();
+        }
+
+        return /</.test(pageRange) ? '' : String(pageRange).trim();
+    }
+
+    /**
+     * 将Citavi文献记录转换为CSL JSON条目
+     * @param {object} reference - Citavi Reference对象
+     * @param {string} itemId - 条目ID
+     * @returns {object} CSL JSON条目
+     */
+    function convertCitaviReference(reference, itemId) {
+        const type = CITAVI_TYPE_MAP[reference.ReferenceType] || 'document';
+        const parent = reference.ParentReference || null;
+        const item = { id: itemId, type };
+
+        const assign = (field, value) => {
+            if (value !== null && value !== undefined && String(value).trim().length > 0) {
+                item[field] = String(value).trim();
+            }
+        };
+
+        const title = [reference.Title, reference.Subtitle].filter(Boolean).join(': ');
+        assign('title', title);
+
+        const authors = convertCitaviPersons(reference.Authors);
+        const editors = convertCitaviPersons(
+            reference.Editors && reference.Editors.length > 0 ? reference.Editors : (parent && parent.Editors)
+        );
+        if (authors.length > 0) item.author = authors;
+        if (editors.length > 0) item.editor = editors;
+
+        if (reference.Periodical) {
+            assign('container-title', reference.Periodical.Name);
+            assign('ISSN', reference.Periodical.Issn);
+        } else if (parent) {
+            assign('container-title', [parent.Title, parent.Subtitle].filter(Boolean).join(': '));
+        }
+
+        const publisherSource = reference.Publishers && reference.Publishers.length > 0 ? reference : parent;
+        if (publisherSource && Array.isArray(publisherSource.Publishers)) {
+            assign('publisher', publisherSource.Publishers.map(publisher => publisher && publisher.Name).filter(Boolean).join('; '));
+        }
+
+        assign('publisher-place', reference.PlaceOfPublication || (parent && parent.PlaceOfPublication));
+        assign('volume', reference.Volume);
+        assign('issue', reference.Number);
+        assign('edition', reference.Edition);
+        assign('page', getCitaviPageRange(reference.PageRange));
+        assign('DOI', reference.Doi);
+        assign('ISBN', reference.Isbn || (parent && parent.Isbn));
+        assign('URL', reference.OnlineAddress);
+        assign('language', reference.Language);
+
+        const yearMatch = String(reference.Year || (parent && parent.Year) || '').match(/\d{4}/);
+        if (yearMatch) {
+            item.issued = { 'date-parts': [[parseInt(yearMatch[0], 10)]] };
+        }
+
+        return item;
+    }
+
+    /**
+     * 解析Citavi占位符字段（ADDIN CITAVI.PLACEHOLDER {占位符ID} {Base64载荷}）
+     * @param {string} field - 字段内容
+     * @param {number} fieldIndex - 字段索引
+     * @returns {array} 引用对象数组
+     */
+    function parseCitaviField(field, fieldIndex) {
+        const logger = getLogger();
+        const citations = [];
+
+        try {
+            const citaviPrefix = getConfig('CITATION_PREFIXES.CITAVI');
+            const remainder = field.replace(citaviPrefix, '').trim();
+
+            // 第一个令牌为占位符GUID，其余部分为载荷
+            const payload = remainder.charAt(0) === '{' ? remainder : remainder.replace(/^\S+\s+/, '');
+            const placeholder = decodeCitaviPayload(payload);
+            const entries = Array.isArray(placeholder.Entries) ? placeholder.Entries : [];
+            const uriPrefix = getConfig('CITAVI.URI_PREFIX', 'citavi://reference/');
+
+            entries.forEach((entry, citeIndex) => {
+                if (!entry) {
+                    return;
+                }
+
+                const reference = entry.Reference || null;
+                const referenceId = entry.ReferenceId || (reference && reference.Id);
+                if (!referenceId) {
+                    logger.debug(`Citavi entry ${citeIndex + 1} in field ${fieldIndex + 1} has no reference ID`);
+                    return;
+                }
+
+                const key = `${uriPrefix}${referenceId}`;
+                const citation = {
+                    id: key,
+                    uris: [key],
+                    itemData: reference ? convertCitaviReference(reference, key) : null,
+                    _fieldIndex: fieldIndex,
+                    _citeIndex: citeIndex,
+                    _originalField: field
+                };
+
+                const locator = getCitaviPageRange(entry.PageRange);
+                if (locator) citation.locator = locator;
+                if (typeof entry.Prefix === 'string' && entry.Prefix) citation.prefix = entry.Prefix;
+                if (typeof entry.Suffix === 'string' && entry.Suffix) citation.suffix = entry.Suffix;
+                if (entry.YearOnly === true) citation['suppress-author'] = true;
+                if (entry.PersonOnly === true) citation['author-only'] = true;
+
+                citations.push(citation);
+            });
+
+            logger.debug(`Parsed ${citations.length} Citavi entries from field ${fieldIndex + 1}`);
+        } catch (error) {
+            logger.warn(`Failed to parse Citavi field ${fieldIndex + 1}`, {
+                error: error.message,
+                fieldLength: field.length
+            });
+        }
+
+        return citations;
+    }
+
+    /**
+     * 解析Mendeley Cite内容控件标记
+     * 标记格式：MENDELEY_CITATION_v3_{Base64编码的CSL引用JSON}
+     * @param {string} field - 内容控件标记值
+     * @param {number} fieldIndex - 字段索引
+     * @returns {array} 引用对象数组
+     */
+    function parseMendeleyCiteField(field, fieldIndex) {
+        const logger = getLogger();
+        const citations = [];
+
+        try {
+            const mendeleyCitePrefix = getConfig('CITATION_PREFIXES.MENDELEY_CITE');
+            const citation = JSON.parse(decodeBase64Text(field.replace(mendeleyCitePrefix, '')));
+            const citationItems = citation && Array.isArray(citation.citationItems) ? citation.citationItems : [];
+
+            citationItems.forEach((cite, citeIndex) => {
+                if (!cite || typeof cite !== 'object') {
+                    return;
+                }
+
+                citations.push({
+                    ...cite,
+                    _fieldIndex: fieldIndex,
+                    _citeIndex: citeIndex,
+                    _originalField: field
+                });
+            });
+
+            logger.debug(`Parsed ${citations.length} Mendeley Cite citations from field ${fieldIndex + 1}`);
+        } catch (error) {
+            logger.warn(`Failed to parse Mendeley Cite field ${fieldIndex + 1}`, {
+                error: error.message,
+                fieldPreview: field.substring(0, 100)
+            });
+        }
+
+        return citations;
+    }
+
+    /**
+     * 移除JSON后面的哈希值（例如Zotero字段末尾的随机标识）
+     * @param {string} text - 字段内容
+     * @returns {string} JSON部分
+     */
+    function stripTrailingHash(text) {
+        return text.replace(/(\{.+\}) [0-9A-Za-z]+$/, '$1');
+    }
+
+    /**
+     * 把结构位置的弯引号替换为直引号（自动更正把直引号替换为弯引号）
+     * 逐字符扫描并记录是否位于字符串中，字符串值中的弯引号保持不变
+     * @param {string} text - JSON文本
+     * @returns {string} 修复后的文本
+     */
+    function replaceStructuralSmartQuotes(text) {
+        const smartQuote = /[\u201C\u201D\u201E\u201F\u2033]/;
+        let result = '';
+        let inString = false;
+        let openedBySmartQuote = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const character = text.charAt(i);
+
+            if (!inString) {
+                if (character === '"' || smartQuote.test(character)) {
+                    inString = true;
+                    openedBySmartQuote = character !== '"';
+                    result += '"';
+                } else {
+                    result += character;
+                }
+            } else if (character === '\\') {
+                result += text.substr(i, 2);
+                i++;
+            } else if (character === '"') {
+                inString = false;
+                result += character;
+            } else if (openedBySmartQuote && smartQuote.test(character) &&
+                /^\s*([:,}\]]|$)/.test(text.substring(i + 1))) {
+                // 以弯引号开始的字符串只在弯引号后面是结构字符时结束
+                inString = false;
+                result += '"';
+            } else {
+                result += character;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 常见的字段内容损坏及其修复，按顺序累积应用，每一步之后重新尝试解析
+     * 只有应用后能够解析时修复才被采用
+     */
+    const JSON_REPAIRS = [
+        {
+            // JSON字符串中不允许未转义的控制字符（例如字段中的换行符和垂直制表符）
+            name: 'control-characters',
+            apply: text => text.replace(/[\u0000-\u001F]+/g, ' ')
+        },
+        {
+            name: 'smart-quotes',
+            apply: replaceStructuralSmartQuotes
+        },
+        {
+            // 重复转义（\\"变为\"），只合并能构成有效转义序列的反斜杠
+            name: 'doubled-backslashes',
+            apply: text => text.replace(/\\\\(\\\\|["\/bfnrt]|u[0-9a-fA-F]{4})/g,
+                (match, escape) => '\\' + (escape === '\\\\' ? '\\' : escape))
+        }
+    ];
+
+    /**
+     * 查找从start处的括号开始的完整JSON对象或数组的结束位置（跳过字符串中的括号）
+     * @param {string} text - JSON文本
+     * @param {number} start - 开始括号（{或[）的位置
+     * @returns {number} 结束括号的位置，被截断时返回-1
+     */
+    function findBalancedEnd(text, start) {
+        let depth = 0;
+        let inString = false;
+
+        for (let i = start; i < text.length; i++) {
+            const character = text.charAt(i);
+            if (inString) {
+                if (character === '\\') {
+                    i++;
+                } else if (character === '"') {
+                    inString = false;
+                }
+            } else if (character === '"') {
+                inString = true;
+            } else if (character === '{' || character === '[') {
+                depth++;
+            } else if (character === '}' || character === ']') {
+                depth--;
+                if (depth === 0) {
+                    return i;
+                }
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * 读取引用项文本中完整的itemData和uris值
+     * @param {string} text - 引用项文本（可能被截断或损坏）
+     * @returns {object|null} 引用项，没有完整的itemData时返回null
+     */
+    function salvageCitationItem(text) {
+        const item = {};
+
+        ['itemData', 'uris', 'uri'].forEach(key => {
+            const match = new RegExp(`"${key}"\\s*:\\s*(?=[\\[{])`).exec(text);
+            if (!match) {
+                return;
+            }
+
+            const start = match.index + match[0].length;
+            const end = findBalancedEnd(text, start);
+            if (end === -1) {
+                return;
+            }
+
+            try {
+                item[key] = JSON.parse(text.substring(start, end + 1));
+            } catch (error) {
+                // 值本身已损坏
+            }
+        });
+
+        return item.itemData && typeof item.itemData === 'object' ? item : null;
+    }
+
+    /**
+     * 从无法整体解析的字段中抢救citationItems中的引用项
+     * 完整的引用项整体保留；被截断或损坏的引用项只保留完整的itemData（及uris）
+     * @param {string} text - 字段JSON文本
+     * @returns {object|null} {citationItems, lostItems}，找不到citationItems时返回null
+     */
+    function salvageCitationItems(text) {
+        const arrayMatch = /"citationItems"\s*:\s*\[/.exec(text);
+        if (!arrayMatch) {
+            return null;
+        }
+
+        const citationItems = [];
+        let lostItems = 0;
+        let position = arrayMatch.index + arrayMatch[0].length;
+
+        for (;;) {
+            while (position < text.length && /[\s,]/.test(text.charAt(position))) {
+                position++;
+            }
+            if (position >= text.length || text.charAt(position) !== '{') {
+                break;
+            }
+
+            const end = findBalancedEnd(text, position);
+            const itemText = end === -1 ? text.substring(position) : text.substring(position, end + 1);
+            let item = null;
+
+            if (end !== -1) {
+                try {
+                    item = JSON.parse(itemText);
+                } catch (error) {
+                    item = null;
+                }
+            }
+
+            item = item || salvageCitationItem(itemText);
+            if (item) {
+                citationItems.push(item);
+            } else {
+                lostItems++;
+            }
+
+            if (end === -1) {
+                break;
+            }
+            position = end + 1;
+        }
+
+        return { citationItems, lostItems };
+    }
+
+    /**
+     * 解析字段中的CSL JSON，失败时依次应用常见修复，仍然失败时从原始内容中抢救完整的引用项
+     * @param {string} text - 移除前缀后的字段内容
+     * @returns {object} {value, repairs, lostItems}，repairs为采用的修复名称
+     */
+    function parseCslJsonPayload(text) {
+        try {
+            return { value: JSON.parse(stripTrailingHash(text)), repairs: [], lostItems: 0 };
+        } catch (parseError) {
+            const repairs = [];
+            let repaired = text;
+
+            for (const repair of JSON_REPAIRS) {
+                const next = repair.apply(repaired);
+                if (next === repaired) {
+                    continue;
+                }
+
+                repaired = next;
+                repairs.push(repair.name);
+                try {
+                    return { value: JSON.parse(stripTrailingHash(repaired)), repairs, lostItems: 0 };
+                } catch (error) {
+                    // 继续下一种修复
+                }
+            }
+
+            // 修复后仍无法解析（例如字段在instrText分段处被截断）：丢弃修复，避免改动有效内容
+            const salvaged = salvageCitationItems(text);
+            if (!salvaged || salvaged.citationItems.length === 0) {
+                throw parseError;
+            }
+
+            return {
+                value: { citationItems: salvaged.citationItems },
+                repairs: ['salvaged-items'],
+                lostItems: salvaged.lostItems
+            };
+        }
+    }
+
+    /**
+     * 解析CSL JSON引用字段（Zotero、Mendeley Desktop等）
+     * @param {string} field - 字段内容
+     * @param {number} fieldIndex - 字段索引
+     * @param {object} context - 解析上下文
+     * @param {object} source - 匹配的引用来源
+     * @returns {array} 引用对象数组
+     */
+    function decodeCslJsonField(field, fieldIndex, context, source) {
+        const logger = getLogger();
+        const citations = [];
+
+        // 移除字段前缀
+        const cleanedField = field.replace(source.prefix, '').trim();
+
+        if (!cleanedField || cleanedField.length === 0) {
+            logger.debug(`Field ${fieldIndex + 1} has no content after cleaning`);
+            return citations;
+        }
+
+        // 解析JSON内容（JSON后面的哈希值被移除，损坏的内容尽量修复）
+        const { value: fieldObject, repairs, lostItems } = parseCslJsonPayload(cleanedField);
+        if (repairs.length > 0) {
+            logger.warn(`Repaired damaged JSON in field ${fieldIndex + 1}`, { repairs, lostItems });
+            if (context && typeof context.reportRepair === 'function') {
+                context.reportRepair({ repairs, lostItems });
+            }
+        }
+        
+        // 验证字段对象结构
+        if (!fieldObject || typeof fieldObject !== 'object') {
+            throw new Error('Invalid field object structure');
+        }
+
+        if (!fieldObject.hasOwnProperty('citationItems') || !Array.isArray(fieldObject.citationItems)) {
+            logger.debug(`Field ${fieldIndex + 1} has no citationItems array`);
+            return citations;
+        }
+
+        // 字段级的引用信息（citationID和脚注编号），用于引用实例导出
+        const properties = fieldObject.properties && typeof fieldObject.properties === 'object'
+            ? fieldObject.properties
+            : {};
+
+        // 提取引用项
+        fieldObject.citationItems.forEach((cite, citeIndex) => {
+            try {
+                if (cite && typeof cite === 'object') {
+                    citations.push({
+                        ...cite,
+                        _fieldIndex: fieldIndex,
+                        _citeIndex: citeIndex,
+                        _citationID: fieldObject.citationID,
+                        _noteIndex: properties.noteIndex,
+                        _originalField: field
+                    });
+                }
+            } catch (citeError) {
+                logger.warn(`Failed to process citation ${citeIndex + 1} in field ${fieldIndex + 1}`, citeError);
+            }
+        });
+
+        return citations;
+    }
+
+    /**
+     * 获取依赖模块，缺失时抛出错误
+     * @param {string} name - 全局模块名称
+     * @returns {object} 模块对象
+     */
+    function requireModule(name) {
+        if (!window[name]) {
+            throw new Error(`${name} not available`);
+        }
+        return window[name];
+    }
+
+    /**
+     * 内置载荷解码器
+     * 签名：(field, fieldIndex, context, source) => 引用对象数组
+     */
+    const BUILT_IN_DECODERS = {
+        'csl-json': decodeCslJsonField,
+        'mendeley-cite': (field, fieldIndex) => parseMendeleyCiteField(field, fieldIndex),
+        'citavi': (field, fieldIndex) => parseCitaviField(field, fieldIndex),
+        'endnote': (field, fieldIndex) =>
+            requireModule('RefExtractorEndNoteParser').parseField(field, fieldIndex),
+        'word-citation': (field, fieldIndex, context) =>
+            requireModule('RefExtractorWordSourcesParser').parseField(field, fieldIndex, context.wordSources),
+        'papers2': (field, fieldIndex) =>
+            requireModule('RefExtractorPapersParser').parsePapers2Field(field, fieldIndex),
+        'readcube': (field, fieldIndex, context, source) => {
+            // 部分版本的ReadCube Papers字段携带CSL JSON，其余只包含文献ID
+            const payload = field.replace(source.prefix, '').trim();
+            if (/^\{\s*"/.test(payload)) {
+                return decodeCslJsonField(field, fieldIndex, context, source);
+            }
+            return requireModule('RefExtractorPapersParser').parseReadCubeField(payload, fieldIndex, field);
+        }
+    };
+
+    /**
+     * 内置去重键生成方式
+     * 签名：(cite) => URI数组
+     */
+    const BUILT_IN_DEDUPE_KEYS = {
+        'uris': cite => (Array.isArray(cite.uris) ? cite.uris : []),
+        // Mendeley Cite条目不带uris，使用文档UUID生成与Mendeley Desktop一致的URI
+        'mendeley-uuid': cite => {
+            if (Array.isArray(cite.uris) && cite.uris.length > 0) {
+                return cite.uris;
+            }
+            const documentId = cite.id || (cite.itemData && cite.itemData.id);
+            const uriPrefix = getConfig('MENDELEY_CITE.URI_PREFIX', 'http://www.mendeley.com/documents/?uuid=');
+            return documentId ? [`${uriPrefix}${documentId}`] : [];
+        }
+    };
+
+    /**
+     * 规范化引用来源声明
+     * @param {object} definition - 来源声明
+     * @param {string} definition.id - 来源ID
+     * @param {RegExp|string} definition.prefix - 前缀正则或CITATION_PREFIXES中的键名
+     * @param {function|string} definition.decode - 解码函数或内置解码器名称（也可使用decoder属性）
+     * @param {function|string} definition.dedupeKey - 去重键函数或内置去重键名称
+     * @returns {object} 规范化后的来源对象
+     */
+    function normalizeCitationSource(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('Citation source must have an id');
+        }
+
+        const prefix = typeof definition.prefix === 'string'
+            ? getConfig(`CITATION_PREFIXES.${definition.prefix}`)
+            : definition.prefix;
+        if (!prefix || typeof prefix.test !== 'function') {
+            throw new Error(`Citation source ${definition.id} has no valid prefix`);
+        }
+
+        const decoder = definition.decode || definition.decoder;
+        const decode = typeof decoder === 'function' ? decoder : BUILT_IN_DECODERS[decoder];
+        if (typeof decode !== 'function') {
+            throw new Error(`Citation source ${definition.id} has unknown decoder: ${decoder}`);
+        }
+
+        const dedupeKey = typeof definition.dedupeKey === 'function'
+            ? definition.dedupeKey
+            : BUILT_IN_DEDUPE_KEYS[definition.dedupeKey || 'uris'];
+        if (typeof dedupeKey !== 'function') {
+            throw new Error(`Citation source ${definition.id} has unknown dedupe key: ${definition.dedupeKey}`);
+        }
+
+        return {
+            id: definition.id,
+            name: definition.name || definition.id,
+            prefix,
+            decode,
+            dedupeKey
+        };
+    }
+
+    /**
+     * 获取已注册的引用来源（首次调用时加载配置中的内置来源）
+     * @returns {array} 引用来源数组
+     */
+    function getCitationSources() {
+        if (citationSources === null) {
+            citationSources = [];
+            getConfig('CITATION_SOURCES', []).forEach(definition => {
+                try {
+                    citationSources.push(normalizeCitationSource(definition));
+                } catch (error) {
+                    getLogger().warn(`Skipping citation source ${definition && definition.id}`, error);
+                }
+            });
+        }
+        return citationSources;
+    }
+
+    /**
+     * 查找负责解析字段的引用来源
+     * @param {string} field - 字段内容
+     * @returns {object|null} 引用来源
+     */
+    function findCitationSource(field) {
+        return getCitationSources().find(source => source.prefix.test(field)) || null;
+    }
+
+    /**
+     * 获取字段来源信息
+     * @param {string|object} field - 字段字符串或字段记录
+     * @returns {object|null} 来源信息（part、ordinal、paragraphIndex、heading、storyType）
+     */
+    function getFieldSource(field) {
+        if (!field || typeof field !== 'object') {
+            return null;
+        }
+
+        const { text, ...source } = field;
+        return Object.keys(source).length > 0 ? source : null;
+    }
+
+    /**
+     * 在字段报告中记录修复或丢失的字段
+     * @param {object} fieldReport - 字段报告（{repaired, lost}），未提供时不记录
+     * @param {string} outcome - 'repaired'或'lost'
+     * @param {number} fieldIndex - 字段索引
+     * @param {object|null} fieldSource - 字段来源信息
+     * @param {object} details - 记录内容（来源ID、修复名称或错误消息）
+     */
+    function recordFieldOutcome(fieldReport, outcome, fieldIndex, fieldSource, details) {
+        if (!fieldReport) {
+            return;
+        }
+
+        const location = {};
+        ['part', 'ordinal', 'embeddedPackage'].forEach(key => {
+            if (fieldSource && fieldSource[key] !== undefined) {
+                location[key] = fieldSource[key];
+            }
+        });
+
+        fieldReport[outcome].push({ fieldIndex, ...location, ...details });
+    }
+
     /**
      * 解析单个引用字段
-     * @param {string} field - 引用字段内容
+     * 内容损坏的字段经修复后解析，无法解析的引用字段记录为丢失（context.fieldReport）
+     * @param {string|object} fieldRecord - 引用字段内容或字段记录（{text, part, ordinal, ...}）
      * @param {number} fieldIndex - 字段索引
+     * @param {object} context - 解析上下文（如Word书目源、字段报告）
      * @returns {array} 解析出的引用对象数组
      */
-    function parseField(field, fieldIndex) {
+    function parseField(fieldRecord, fieldIndex, context = {}) {
         const logger = getLogger();
-        const citations = [];
+        const field = getFieldText(fieldRecord);
+        const fieldSource = getFieldSource(fieldRecord);
+        let source = null;
+
+        try {
+            source = findCitationSource(field);
+            if (!source) {
+                logger.debug(`Field ${fieldIndex + 1} does not match any citation source`);
+                return [];
+            }
+
+            const decoded = source.decode(field, fieldIndex, {
+                ...context,
+                reportRepair: repair => recordFieldOutcome(context.fieldReport, 'repaired', fieldIndex, fieldSource, {
+                    source: source.id,
+                    ...repair
+                })
+            }, source) || [];
+
+            // 由来源声明的去重键生成uris，并附加字段来源信息
+            const citations = decoded.map(cite => {
+                const citation = { ...cite, _citationSource: source.id };
+                if (fieldSource) {
+                    citation._source = fieldSource;
+                }
+                const keys = source.dedupeKey(cite);
+                if (Array.isArray(keys) && keys.length > 0) {
+                    citation.uris = keys;
+                }
+                return citation;
+            });
+
+            logger.debug(`Parsed ${citations.length} ${source.name} citations from field ${fieldIndex + 1}`);
+            return citations;
+
+        } catch (error) {
+            logger.warn(`Failed to parse field ${fieldIndex + 1}`, {
+                error: error.message,
+                fieldLength: field.length,
+                fieldPreview: field.substring(0, 100)
+            });
+            if (source) {
+                recordFieldOutcome(context.fieldReport, 'lost', fieldIndex, fieldSource, {
+                    source: source.id,
+                    error: error.message,
+                    fieldPreview: field.substring(0, 100)
+                });
+            }
+            return [];
+        }
+    }
+
+    /**
+     * 获取字段文本
+     * @param {string|object} field - 字段字符串或字段记录（{text, part}）
+     * @returns {string} 字段文本
+     */
+    function getFieldText(field) {
+        if (field && typeof field === 'object') {
+            return typeof field.text === 'string' ? field.text : '';
+        }
+        return typeof field === 'string' ? field : '';
+    }
+
+    /**
+     * 解析所有引用字段
+     * @param {array} fields - 字段数组（字符串或{text, part}记录）
+     * @param {object} context - 解析上下文
+     * @returns {array} 解析出的所有引用对象
+     */
+    function parseFields(fields, context = {}) {
+        const logger = getLogger();
+        logger.startTiming('parse_fields');
+        logger.info('Starting citation parsing', { fieldCount: fields.length });
+
+        const allCitations = [];
+
+        fields.forEach((field, index) => {
+            try {
+                const citations = parseField(field, index, context);
+                allCitations.push(...citations);
+            } catch (fieldError) {
+                logger.warn(`Error processing field ${index + 1}`, fieldError);
+            }
+        });
+
+        logger.endTiming('parse_fields');
+        logger.info('Citation parsing completed', {
+            totalFields: fields.length,
+            totalCitations: allCitations.length
+        });
+
+        return allCitations;
+    }
+
+    /**
+     * 将参考文献表条目规范化为URI数组
+     * @param {string|array|object} entry - 条目（URI、URI数组或包含uris的对象）
+     * @returns {array} URI数组
+     */
+    function normalizeBibliographyUris(entry) {
+        if (typeof entry === 'string') {
+            return [entry];
+        }
+        if (Array.isArray(entry)) {
+            return entry.filter(uri => typeof uri === 'string');
+        }
+        if (entry && typeof entry === 'object' && Array.isArray(entry.uris)) {
+            return entry.uris.filter(uri => typeof uri === 'string');
+        }
+        return [];
+    }
+
+    /**
+     * 解析单个Zotero参考文献表字段（ADDIN ZOTERO_BIBL）
+     * @param {string} field - 字段内容
+     * @param {number} fieldIndex - 字段索引
+     * @returns {object|null} 包含uncited、omitted和custom的对象，非参考文献表字段返回null
+     */
+    function parseBibliographyField(field, fieldIndex) {
+        const logger = getLogger();
+        const bibliographyPrefix = getConfig('CITATION_PREFIXES.ZOTERO_BIBLIOGRAPHY');
+
+        if (!bibliographyPrefix || !bibliographyPrefix.test(field)) {
+            return null;
+        }
+
+        const result = { uncited: [], omitted: [], custom: [] };
 
         try {
-            // 检查是否为CSL引用字段
-            const cslFieldPrefix = getConfig('CITATION_PREFIXES.CSL_GENERAL');
-            if (!cslFieldPrefix.test(field)) {
-                logger.debug(`Field ${fieldIndex + 1} is not a CSL citation field`);
-                return citations;
+            // 字段格式：ADDIN ZOTERO_BIBL {...} CSL_BIBLIOGRAPHY，只保留JSON部分
+            const jsonStart = field.indexOf('{');
+            const jsonEnd = field.lastIndexOf('}');
+            if (jsonStart === -1 || jsonEnd <= jsonStart) {
+                logger.debug(`Bibliography field ${fieldIndex + 1} has no JSON payload`);
+                return result;
             }
 
-            // 移除字段前缀
-            let cleanedField = field.replace(cslFieldPrefix, '').trim();
-            
-            // 如果JSON后面有哈希值，只保留JSON部分
-            cleanedField = cleanedField.replace(/(\{.+\}) [0-9A-Za-z]+$/, '$1');
-
-            if (!cleanedField || cleanedField.length === 0) {
-                logger.debug(`Field ${fieldIndex + 1} has no content after cleaning`);
-                return citations;
-            }
+            const bibliographyObject = JSON.parse(field.substring(jsonStart, jsonEnd + 1));
 
-            // 解析JSON内容
-            const fieldObject = JSON.parse(cleanedField);
-            
-            // 验证字段对象结构
-            if (!fieldObject || typeof fieldObject !== 'object') {
-                throw new Error('Invalid field object structure');
-            }
+            (bibliographyObject.uncited || []).forEach(entry => {
+                const uris = normalizeBibliographyUris(entry);
+                if (uris.length > 0) {
+                    result.uncited.push({
+                        uris,
+                        itemData: entry && entry.itemData ? entry.itemData : null,
+                        _fieldIndex: fieldIndex
+                    });
+                }
+            });
 
-            if (!fieldObject.hasOwnProperty('citationItems') || !Array.isArray(fieldObject.citationItems)) {
-                logger.debug(`Field ${fieldIndex + 1} has no citationItems array`);
-                return citations;
-            }
+            (bibliographyObject.omitted || []).forEach(entry => {
+                const uris = normalizeBibliographyUris(entry);
+                if (uris.length > 0) {
+                    result.omitted.push({ uris });
+                }
+            });
 
-            // 提取引用项
-            fieldObject.citationItems.forEach((cite, citeIndex) => {
-                try {
-                    if (cite && typeof cite === 'object') {
-                        citations.push({
-                            ...cite,
-                            _fieldIndex: fieldIndex,
-                            _citeIndex: citeIndex,
-                            _originalField: field
-                        });
+            // 自定义条目格式：[[uris], "编辑后的条目文本"]
+            (bibliographyObject.custom || []).forEach(entry => {
+                if (Array.isArray(entry) && entry.length >= 2) {
+                    const uris = normalizeBibliographyUris(entry[0]);
+                    if (uris.length > 0) {
+                        result.custom.push({ uris, text: String(entry[1]) });
                     }
-                } catch (citeError) {
-                    logger.warn(`Failed to process citation ${citeIndex + 1} in field ${fieldIndex + 1}`, citeError);
                 }
             });
 
-            logger.debug(`Parsed ${citations.length} citations from field ${fieldIndex + 1}`);
-            return citations;
-
+            logger.debug(`Parsed bibliography field ${fieldIndex + 1}`, {
+                uncited: result.uncited.length,
+                omitted: result.omitted.length,
+                custom: result.custom.length
+            });
         } catch (error) {
-            logger.warn(`Failed to parse field ${fieldIndex + 1}`, {
+            logger.warn(`Failed to parse bibliography field ${fieldIndex + 1}`, {
                 error: error.message,
-                fieldLength: field.length,
                 fieldPreview: field.substring(0, 100)
             });
-            return citations;
         }
+
+        return result;
     }
 
     /**
-     * 解析所有引用字段
+     * 解析所有Zotero参考文献表字段
      * @param {array} fields - 字段数组
-     * @returns {array} 解析出的所有引用对象
+     * @returns {object} 合并后的参考文献表数据
      */
-    function parseFields(fields) {
-        const logger = getLogger();
-        logger.startTiming('parse_fields');
-        logger.info('Starting citation parsing', { fieldCount: fields.length });
-
-        const allCitations = [];
+    function parseBibliographyFields(fields) {
+        const bibliography = { fieldCount: 0, uncited: [], omitted: [], custom: [] };
 
         fields.forEach((field, index) => {
-            try {
-                const citations = parseField(field, index);
-                allCitations.push(...citations);
-            } catch (fieldError) {
-                logger.warn(`Error processing field ${index + 1}`, fieldError);
+            const parsed = parseBibliographyField(getFieldText(field), index);
+            if (parsed) {
+                bibliography.fieldCount++;
+                bibliography.uncited.push(...parsed.uncited);
+                bibliography.omitted.push(...parsed.omitted);
+                bibliography.custom.push(...parsed.custom);
             }
         });
 
-        logger.endTiming('parse_fields');
-        logger.info('Citation parsing completed', {
-            totalFields: fields.length,
-            totalCitations: allCitations.length
+        return bibliography;
+    }
+
+    /**
+     * 移除自定义条目文本中的格式标记（RTF控制字和HTML标签）
+     * @param {string} text - 条目文本
+     * @returns {string} 纯文本
+     */
+    function stripBibliographyMarkup(text) {
+        return String(text || '')
+            .replace(/<[^>]+>/g, '')
+            .replace(/\\[a-z]+-?\d* ?/gi, '')
+            .replace(/[{}]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * 将未引用条目转换为可参与去重的引用对象
+     * 未嵌入元数据的条目只有URI：可以在Zotero中选择，但不作为条目导出，只在参考文献表报告中列出
+     * @param {object} bibliography - 参考文献表数据
+     * @returns {array} 引用对象数组
+     */
+    function createUncitedCitations(bibliography) {
+        const uncitedNote = getConfig('ZOTERO.UNCITED_NOTE', 'Uncited item (listed in the document bibliography)');
+
+        return bibliography.uncited.map(entry => {
+            const citation = {
+                uris: [...entry.uris],
+                _uncited: true,
+                _fieldIndex: entry._fieldIndex
+            };
+
+            if (entry.itemData) {
+                const itemData = { ...entry.itemData };
+                itemData.note = itemData.note ? `${uncitedNote}\n${itemData.note}` : uncitedNote;
+                citation.itemData = itemData;
+            }
+
+            return citation;
         });
+    }
 
-        return allCitations;
+    /**
+     * 将省略和自定义条目关联到去重后的引用
+     * @param {array} deduplicatedCitations - 去重后的引用数组
+     * @param {object} bibliography - 参考文献表数据
+     * @returns {object} 参考文献表报告
+     */
+    function annotateBibliographyEntries(deduplicatedCitations, bibliography) {
+        const findCitation = uris => deduplicatedCitations.find(citation =>
+            citation.uris.some(uri => uris.indexOf(uri) !== -1)
+        ) || null;
+
+        const describe = citation => citation && citation.itemData ? {
+            id: citation.itemData.id,
+            title: citation.itemData.title || ''
+        } : null;
+
+        const omitted = bibliography.omitted.map(entry => {
+            const citation = findCitation(entry.uris);
+            if (citation) {
+                citation._omittedFromBibliography = true;
+            }
+            return { uris: entry.uris, item: describe(citation) };
+        });
+
+        const custom = bibliography.custom.map(entry => {
+            const citation = findCitation(entry.uris);
+            if (citation) {
+                citation._customBibliographyEntry = entry.text;
+            }
+            return {
+                uris: entry.uris,
+                text: entry.text,
+                plainText: stripBibliographyMarkup(entry.text),
+                item: describe(citation)
+            };
+        });
+
+        const uncited = deduplicatedCitations
+            .filter(citation => citation._uncited)
+            .map(citation => ({
+                uris: citation.uris,
+                item: describe(citation),
+                hasMetadata: !!citation.itemData
+            }));
+
+        return {
+            fieldCount: bibliography.fieldCount,
+            uncited,
+            omitted,
+            custom
+        };
     }
 
     /**
      * 去重引用数据
      * @param {array} citations - 引用对象数组
+     * @param {object} options - 选项
+     * @param {string} options.revisionMode - 修订模式，除原始视图外，修订中已删除的引用不计入引用次数
      * @returns {array} 去重后的引用数组
      */
-    function deduplicateCitations(citations) {
+    function deduplicateCitations(citations, options = {}) {
         const logger = getLogger();
         logger.startTiming('deduplicate_citations');
         logger.info('Starting citation deduplication', { citationCount: citations.length });
@@ -179,10 +1146,14 @@ window.RefExtractorCitationProcessor = (function() {
         }
 
         try {
+            const countDeleted = options.revisionMode === getConfig('REVISIONS.MODES.ORIGINAL', 'original');
+
             // 创建去重数组，包含项目、URI和计数信息
             const deduplicationArray = citations.map((cite, index) => ({
                 item: cite.hasOwnProperty('itemData') ? cite.itemData : null,
                 uris: cite.hasOwnProperty('uris') ? [...cite.uris] : [],
+                uncited: !!cite._uncited,
+                deleted: !countDeleted && getRevisionStatus(cite) === 'deleted',
                 count: 1,
                 index: index,
                 originalCite: cite
@@ -194,14 +1165,18 @@ window.RefExtractorCitationProcessor = (function() {
             // 第二步：去重并计数
             const deduplicatedArray = performDeduplication(deduplicationArray);
 
-            // 第三步：转换回标准格式
+            // 第三步：转换回标准格式（未嵌入元数据的未引用条目保留URI，用于在Zotero中选择）
             const result = deduplicatedArray
-                .filter(entry => entry.item !== null)
+                .filter(entry => entry.item !== null || entry.uncited)
                 .map(entry => ({
                     itemData: entry.item,
                     uris: entry.uris,
                     _count: entry.count,
-                    _indices: entry.indices || [entry.index]
+                    _indices: entry.indices || [entry.index],
+                    _uncited: entry.uncited,
+                    _sources: (entry.indices || [entry.index])
+                        .map(index => deduplicationArray[index].originalCite._source)
+                        .filter(Boolean)
                 }));
 
             const duplicateCount = citations.length - result.length;
@@ -291,8 +1266,9 @@ window.RefExtractorCitationProcessor = (function() {
                 item.uris.indexOf(uri) !== -1 && !duplicateIndices.has(item.index)
             );
 
-            // 统计引用次数
-            currentItem.count = matchingItems.length;
+            // 统计引用次数（参考文献表中的未引用条目和修订中已删除的引用不计入）
+            currentItem.count = matchingItems.filter(item => !item.uncited && !item.deleted).length;
+            currentItem.uncited = matchingItems.every(item => item.uncited);
             currentItem.indices = matchingItems.map(item => item.index);
 
             // 添加引用计数到元数据
@@ -322,6 +1298,100 @@ window.RefExtractorCitationProcessor = (function() {
         return deduplicatedArray;
     }
 
+    /**
+     * 获取引用的修订状态
+     * @param {object} cite - 引用对象
+     * @returns {string} 修订状态（unchanged、inserted或deleted）
+     */
+    function getRevisionStatus(cite) {
+        const revision = cite && cite._source && cite._source.revision;
+        return revision && revision.status ? revision.status : 'unchanged';
+    }
+
+    /**
+     * 汇总修订中插入和删除的引用（按作者和条目统计）
+     * @param {array} deduplicatedCitations - 去重后的引用数组
+     * @returns {object} 修订汇总
+     */
+    function summarizeRevisions(deduplicatedCitations) {
+        const summary = { inserted: 0, deleted: 0, authors: {}, items: [] };
+
+        deduplicatedCitations
+            .filter(citation => citation.itemData)
+            .forEach(citation => {
+                const item = { id: citation.itemData.id, title: citation.itemData.title || '', inserted: 0, deleted: 0, authors: [] };
+
+                citation._sources.forEach(source => {
+                    const revision = source.revision;
+                    if (!revision || (revision.status !== 'inserted' && revision.status !== 'deleted')) {
+                        return;
+                    }
+
+                    const author = revision.author || 'Unknown';
+                    if (!summary.authors[author]) {
+                        summary.authors[author] = { inserted: 0, deleted: 0 };
+                    }
+
+                    summary[revision.status]++;
+                    summary.authors[author][revision.status]++;
+                    item[revision.status]++;
+                    if (!item.authors.includes(author)) {
+                        item.authors.push(author);
+                    }
+                });
+
+                if (item.inserted > 0 || item.deleted > 0) {
+                    item.deletedOnly = item.deleted === citation._sources.length;
+                    summary.items.push(item);
+                }
+            });
+
+        return summary;
+    }
+
+    /**
+     * 汇总引用的来源分布（各部件的引用数量，以及只在脚注/尾注中被引用的条目）
+     * @param {array} deduplicatedCitations - 去重后的引用数组
+     * @returns {object} 来源汇总
+     */
+    function summarizeProvenance(deduplicatedCitations) {
+        const noteStoryTypes = getConfig('FIELD_PROVENANCE.NOTE_STORY_TYPES', ['footnote', 'endnote']);
+        const parts = {};
+
+        const items = deduplicatedCitations
+            .filter(citation => citation.itemData && citation._sources.length > 0)
+            .map(citation => {
+                const citationParts = {};
+                citation._sources.forEach(source => {
+                    const part = source.part || 'unknown';
+                    citationParts[part] = (citationParts[part] || 0) + 1;
+                    parts[part] = (parts[part] || 0) + 1;
+                });
+
+                const storyTypes = [...new Set(citation._sources.map(source => source.storyType || 'main'))];
+                const embeddedPackages = [...new Set(citation._sources
+                    .map(source => source.embeddedPackage)
+                    .filter(Boolean))];
+
+                return {
+                    id: citation.itemData.id,
+                    title: citation.itemData.title || '',
+                    parts: citationParts,
+                    storyTypes,
+                    embeddedPackages,
+                    notesOnly: storyTypes.every(type => noteStoryTypes.includes(type)),
+                    embeddedOnly: citation._sources.every(source => source.embeddedPackage)
+                };
+            });
+
+        return {
+            parts,
+            items,
+            notesOnly: items.filter(item => item.notesOnly),
+            embeddedOnly: items.filter(item => item.embeddedOnly)
+        };
+    }
+
     /**
      * 向项目元数据添加引用计数
      * @param {object} item - 项目对象
@@ -342,6 +1412,279 @@ window.RefExtractorCitationProcessor = (function() {
         item.note = item.note ? `${countInfo}\n${item.note}` : countInfo;
     }
 
+    /**
+     * 复制项目元数据并移除addCiteCountToItem添加的引用计数
+     * @param {object} item - 项目对象
+     * @returns {object} 不含引用计数的项目副本
+     */
+    function copyItemWithoutCiteCount(item) {
+        const copy = { ...item };
+
+        if (typeof copy.note === 'string') {
+            copy.note = copy.note.replace(/^Times cited: \d+\n?/, '');
+            if (copy.note === '') {
+                delete copy.note;
+            }
+        }
+
+        return copy;
+    }
+
+    /**
+     * 移除createUncitedCitations添加的未引用说明（条目在其他文档中被引用）
+     * @param {object} item - 项目对象
+     */
+    function removeUncitedNote(item) {
+        const uncitedNote = getConfig('ZOTERO.UNCITED_NOTE', 'Uncited item (listed in the document bibliography)');
+
+        if (typeof item.note === 'string' && item.note.indexOf(uncitedNote) === 0) {
+            item.note = item.note.substring(uncitedNote.length).replace(/^\n/, '');
+            if (item.note === '') {
+                delete item.note;
+            }
+        }
+    }
+
+    /**
+     * 合并各文档的参考文献表报告
+     * 未引用条目按合并后的条目重新判断（在其他文档中被引用的条目不再是未引用条目），省略和自定义条目记录所在文档
+     * @param {array} documents - 文档结果数组（{fileName, citationResult}）
+     * @param {array} mergedCitations - 合并后的引用数组
+     * @returns {object} 参考文献表报告
+     */
+    function mergeBibliographyReports(documents, mergedCitations) {
+        const merged = { fieldCount: 0, uncited: [], omitted: [], custom: [] };
+
+        documents.forEach(documentResult => {
+            const bibliography = documentResult.citationResult && documentResult.citationResult.bibliography;
+            if (!bibliography) {
+                return;
+            }
+
+            merged.fieldCount += bibliography.fieldCount || 0;
+            ['omitted', 'custom'].forEach(section => {
+                (bibliography[section] || []).forEach(entry => {
+                    merged[section].push({ document: documentResult.fileName, ...entry });
+                });
+            });
+        });
+
+        merged.uncited = mergedCitations
+            .filter(citation => citation._uncited)
+            .map(citation => ({
+                uris: citation.uris,
+                item: citation.itemData ? { id: citation.itemData.id, title: citation.itemData.title || '' } : null,
+                hasMetadata: !!citation.itemData
+            }));
+
+        return merged;
+    }
+
+    /**
+     * 合并多个文档的去重引用
+     * 各文档中URI相同的条目合并为一个条目，引用次数为各文档引用次数之和
+     * @param {array} documents - 文档结果数组（{fileName, citationResult}）
+     * @returns {array} 合并后的引用数组（含_documentCounts，按文档顺序记录各文档中的引用次数）
+     */
+    function mergeDocumentCitations(documents) {
+        const logger = getLogger();
+        logger.debug('Merging citations across documents', { documentCount: documents.length });
+
+        const mergeArray = [];
+        documents.forEach((documentResult, documentIndex) => {
+            const citationResult = documentResult.citationResult || {};
+            (citationResult.deduplicatedCitations || []).forEach(citation => {
+                if (!citation.itemData && !citation._uncited) {
+                    return;
+                }
+
+                mergeArray.push({
+                    item: citation.itemData,
+                    uris: [...(citation.uris || [])],
+                    count: citation._count || 0,
+                    uncited: !!citation._uncited,
+                    sources: citation._sources || [],
+                    documentIndex,
+                    index: mergeArray.length
+                });
+            });
+        });
+
+        // 与单个文档去重相同，先规范化URI，再按第一个URI分组
+        normalizeUris(mergeArray);
+
+        const mergedIndices = new Set();
+        const mergedCitations = [];
+
+        mergeArray.forEach(entry => {
+            if (mergedIndices.has(entry.index)) {
+                return;
+            }
+
+            const matchingEntries = entry.uris.length > 0
+                ? mergeArray.filter(other =>
+                    !mergedIndices.has(other.index) && other.uris.indexOf(entry.uris[0]) !== -1
+                )
+                : [entry];
+            matchingEntries.forEach(matchingEntry => mergedIndices.add(matchingEntry.index));
+
+            const documentCounts = documents.map(() => 0);
+            matchingEntries.forEach(matchingEntry => {
+                documentCounts[matchingEntry.documentIndex] += matchingEntry.count;
+            });
+            const count = documentCounts.reduce((sum, documentCount) => sum + documentCount, 0);
+
+            // 优先使用被引用的条目的元数据；未嵌入元数据的未引用条目没有itemData
+            const uncited = matchingEntries.every(matchingEntry => matchingEntry.uncited);
+            const itemEntry = matchingEntries.find(matchingEntry => matchingEntry.item && !matchingEntry.uncited) ||
+                matchingEntries.find(matchingEntry => matchingEntry.item);
+            const item = itemEntry ? copyItemWithoutCiteCount(itemEntry.item) : null;
+            if (item && !uncited) {
+                removeUncitedNote(item);
+            }
+            if (item && entry.uris.length > 0) {
+                addCiteCountToItem(item, count);
+            }
+
+            mergedCitations.push({
+                itemData: item,
+                uris: entry.uris,
+                _count: count,
+                _uncited: uncited,
+                _documentCounts: documentCounts,
+                _sources: matchingEntries.flatMap(matchingEntry => matchingEntry.sources.map(source => ({
+                    ...source,
+                    document: documents[matchingEntry.documentIndex].fileName
+                })))
+            });
+        });
+
+        logger.debug('Document merge completed', {
+            itemCount: mergeArray.length,
+            mergedCount: mergedCitations.length
+        });
+
+        return mergedCitations;
+    }
+
+    /**
+     * 生成引用实例列表（文中的每一处引用一行），保留页码等定位信息、前后缀和作者显示标志
+     * @param {array} parsedCitations - 解析出的引用数组（按字段顺序）
+     * @param {array} deduplicatedCitations - 去重后的引用数组
+     * @returns {array} 引用实例（{id, title, uris, citationID, noteIndex, locator, label, prefix, suffix, suppressAuthor, authorOnly, part, revision}）
+     */
+    function createCitationInstances(parsedCitations, deduplicatedCitations) {
+        const citationsByIndex = new Map();
+        deduplicatedCitations.forEach(citation => {
+            citation._indices.forEach(index => citationsByIndex.set(index, citation));
+        });
+
+        const value = field => (field === undefined ? null : field);
+
+        return parsedCitations
+            .map((cite, index) => ({ cite, citation: citationsByIndex.get(index) }))
+            .filter(({ cite }) => !cite._uncited)
+            .map(({ cite, citation }) => {
+                // 指向去重后的条目，与CSL JSON输出中的ID一致
+                const itemData = citation ? citation.itemData : cite.itemData;
+
+                return {
+                    id: itemData ? value(itemData.id) : null,
+                    title: (itemData && itemData.title) || '',
+                    uris: citation ? citation.uris : (cite.uris || []),
+                    citationID: value(cite._citationID),
+                    noteIndex: value(cite._noteIndex),
+                    locator: value(cite.locator),
+                    label: value(cite.label),
+                    prefix: value(cite.prefix),
+                    suffix: value(cite.suffix),
+                    suppressAuthor: !!cite['suppress-author'],
+                    authorOnly: !!cite['author-only'],
+                    part: cite._source ? value(cite._source.part) : null,
+                    revision: getRevisionStatus(cite)
+                };
+            });
+    }
+
+    /**
+     * 合并各文档的引用实例，记录所在文档并指向合并后的条目
+     * @param {array} documents - 文档结果数组（{fileName, citationResult}）
+     * @param {array} mergedCitations - 合并后的引用数组
+     * @returns {array} 引用实例（另含document）
+     */
+    function mergeCitationInstances(documents, mergedCitations) {
+        const citationsByUri = new Map();
+        mergedCitations.forEach(citation => {
+            (citation.uris || []).forEach(uri => {
+                if (!citationsByUri.has(uri)) {
+                    citationsByUri.set(uri, citation);
+                }
+            });
+        });
+
+        const instances = [];
+        documents.forEach(documentResult => {
+            const citationResult = documentResult.citationResult || {};
+            (citationResult.citationInstances || []).forEach(instance => {
+                const citation = instance.uris.map(uri => citationsByUri.get(uri)).find(Boolean);
+                instances.push({
+                    document: documentResult.fileName,
+                    ...instance,
+                    ...(citation && citation.itemData ? {
+                        id: citation.itemData.id,
+                        title: citation.itemData.title || '',
+                        uris: citation.uris
+                    } : {})
+                });
+            });
+        });
+
+        return instances;
+    }
+
+    /**
+     * 合并各文档的字段报告，记录所在文档
+     * @param {array} documents - 文档结果数组（{fileName, citationResult}）
+     * @returns {object} 字段报告（{repaired, lost}）
+     */
+    function mergeFieldReports(documents) {
+        const merged = { repaired: [], lost: [] };
+
+        documents.forEach(documentResult => {
+            const fieldReport = documentResult.citationResult && documentResult.citationResult.fieldReport;
+            if (!fieldReport) {
+                return;
+            }
+            ['repaired', 'lost'].forEach(outcome => {
+                (fieldReport[outcome] || []).forEach(entry => {
+                    merged[outcome].push({ document: documentResult.fileName, ...entry });
+                });
+            });
+        });
+
+        return merged;
+    }
+
+    /**
+     * 生成文档×条目引用次数矩阵
+     * @param {array} documents - 文档结果数组（{fileName, citationResult}）
+     * @param {array} mergedCitations - 合并后的引用数组
+     * @returns {object} 矩阵（documents为文档名列表，items为{id, title, total, counts}列表）
+     */
+    function createDocumentMatrix(documents, mergedCitations) {
+        return {
+            documents: documents.map(documentResult => documentResult.fileName),
+            items: mergedCitations
+                .filter(citation => isValidMetadata(citation.itemData))
+                .map(citation => ({
+                    id: citation.itemData.id,
+                    title: citation.itemData.title,
+                    total: citation._count,
+                    counts: citation._documentCounts
+                }))
+        };
+    }
+
     /**
      * 提取元数据（仅保留有元数据的项目）
      * @param {array} deduplicatedCitations - 去重后的引用数组
@@ -418,10 +1761,13 @@ window.RefExtractorCitationProcessor = (function() {
     const CitationProcessor = {
         /**
          * 处理引用字段
-         * @param {array} fields - 字段数组
+         * @param {array} fields - 字段数组（字符串或fieldExtractor返回的{text, part}记录）
+         * @param {object} options - 处理选项
+         * @param {Map} options.wordSources - Word书目源（标记到CSL条目的映射）
+         * @param {string} options.revisionMode - 提取字段时使用的修订模式
          * @returns {object} 处理结果
          */
-        processFields(fields) {
+        processFields(fields, options = {}) {
             const logger = getLogger();
             const errorHandler = getErrorHandler();
 
@@ -435,30 +1781,68 @@ window.RefExtractorCitationProcessor = (function() {
                     validCitations: 0,
                     duplicatesRemoved: 0,
                     citesWithoutMetadata: 0,
+                    uncitedItems: 0,
+                    customBibliographyEntries: 0,
+                    notesOnlyItems: 0,
+                    embeddedOnlyItems: 0,
+                    insertedCitations: 0,
+                    deletedCitations: 0,
+                    repairedFields: 0,
+                    lostFields: 0,
                     processingTime: 0
                 });
 
-                // Step 1: 解析字段
-                const parsedCitations = parseFields(fields);
-                updateProcessingStats({ validCitations: parsedCitations.length });
+                // Step 1: 解析字段（记录修复和丢失的字段）
+                const fieldReport = { repaired: [], lost: [] };
+                const parsedCitations = parseFields(fields, {
+                    wordSources: options.wordSources || null,
+                    fieldReport
+                });
+                updateProcessingStats({
+                    validCitations: parsedCitations.length,
+                    repairedFields: fieldReport.repaired.length,
+                    lostFields: fieldReport.lost.length
+                });
+
+                // Step 1b: 解析Zotero参考文献表字段，未引用条目追加在引用之后参与去重
+                const bibliographyData = parseBibliographyFields(fields);
+                parsedCitations.push(...createUncitedCitations(bibliographyData));
 
                 if (parsedCitations.length === 0) {
                     logger.warn('No valid citations found in fields');
                     return {
                         citations: [],
                         statistics: { ...processingStats },
-                        isEmpty: true
+                        isEmpty: true,
+                        citationInstances: [],
+                        fieldReport
                     };
                 }
 
                 // Step 2: 去重
-                const deduplicatedCitations = deduplicateCitations(parsedCitations);
+                const deduplicatedCitations = deduplicateCitations(parsedCitations, {
+                    revisionMode: options.revisionMode
+                });
                 const duplicatesRemoved = parsedCitations.length - deduplicatedCitations.length;
                 updateProcessingStats({ duplicatesRemoved });
 
-                // Step 3: 提取元数据
+                const bibliography = annotateBibliographyEntries(deduplicatedCitations, bibliographyData);
+                const provenance = summarizeProvenance(deduplicatedCitations);
+                const revisions = summarizeRevisions(deduplicatedCitations);
+                const citationInstances = createCitationInstances(parsedCitations, deduplicatedCitations);
+                updateProcessingStats({
+                    uncitedItems: bibliography.uncited.length,
+                    customBibliographyEntries: bibliography.custom.length,
+                    notesOnlyItems: provenance.notesOnly.length,
+                    embeddedOnlyItems: provenance.embeddedOnly.length,
+                    insertedCitations: revisions.inserted,
+                    deletedCitations: revisions.deleted
+                });
+
+                // Step 3: 提取元数据（未嵌入元数据的未引用条目不导出，已计入uncitedItems）
                 const metadataItems = extractMetadata(deduplicatedCitations);
-                const citesWithoutMetadata = deduplicatedCitations.length - metadataItems.length;
+                const citesWithoutMetadata = deduplicatedCitations.filter(citation => citation.itemData).length -
+                    metadataItems.length;
                 updateProcessingStats({ citesWithoutMetadata });
 
                 // 保存处理结果
@@ -475,7 +1859,12 @@ window.RefExtractorCitationProcessor = (function() {
                     },
                     isEmpty: metadataItems.length === 0,
                     rawCitations: parsedCitations,
-                    deduplicatedCitations: deduplicatedCitations
+                    deduplicatedCitations: deduplicatedCitations,
+                    bibliography: bibliography,
+                    provenance: provenance,
+                    revisions: revisions,
+                    citationInstances: citationInstances,
+                    fieldReport: fieldReport
                 };
 
                 logger.info('Citation processing completed successfully', {
@@ -510,6 +1899,93 @@ window.RefExtractorCitationProcessor = (function() {
             }
         },
 
+        /**
+         * 合并多个文档的处理结果为一个条目集
+         * 跨文档去重方式与单个文档相同（按URI），引用次数为各文档之和
+         * @param {array} documents - 文档结果数组（{fileName, citationResult}，citationResult为processFields的返回值）
+         * @returns {object} 合并结果（格式同processFields，另含documentMatrix；引用实例记录所在文档）
+         */
+        mergeResults(documents) {
+            const logger = getLogger();
+            const errorHandler = getErrorHandler();
+
+            logger.startTiming('merge_citations');
+            logger.info('Starting citation merge', { documentCount: documents.length });
+
+            try {
+                const documentStats = documents.map(documentResult =>
+                    (documentResult.citationResult && documentResult.citationResult.statistics) || {}
+                );
+                const sumStat = key => documentStats.reduce((sum, stats) => sum + (stats[key] || 0), 0);
+                const itemCount = documents.reduce((sum, documentResult) =>
+                    sum + ((documentResult.citationResult && documentResult.citationResult.deduplicatedCitations) || []).length, 0
+                );
+
+                const mergedCitations = mergeDocumentCitations(documents);
+                const metadataItems = extractMetadata(mergedCitations);
+                const bibliography = mergeBibliographyReports(documents, mergedCitations);
+                const provenance = summarizeProvenance(mergedCitations);
+                const revisions = summarizeRevisions(mergedCitations);
+
+                updateProcessingStats({
+                    totalFields: sumStat('totalFields'),
+                    validCitations: sumStat('validCitations'),
+                    duplicatesRemoved: sumStat('duplicatesRemoved') + itemCount - mergedCitations.length,
+                    citesWithoutMetadata: mergedCitations.filter(citation => citation.itemData).length -
+                        metadataItems.length,
+                    uncitedItems: bibliography.uncited.length,
+                    customBibliographyEntries: bibliography.custom.length,
+                    notesOnlyItems: provenance.notesOnly.length,
+                    embeddedOnlyItems: provenance.embeddedOnly.length,
+                    insertedCitations: revisions.inserted,
+                    deletedCitations: revisions.deleted,
+                    repairedFields: sumStat('repairedFields'),
+                    lostFields: sumStat('lostFields')
+                });
+
+                processedCitations = metadataItems;
+
+                const processingTime = logger.endTiming('merge_citations');
+                updateProcessingStats({ processingTime });
+
+                logger.info('Citation merge completed', {
+                    documentCount: documents.length,
+                    mergedCitations: mergedCitations.length,
+                    finalCitations: metadataItems.length,
+                    processingTime: `${processingTime.toFixed(2)}ms`
+                });
+
+                return {
+                    citations: metadataItems,
+                    statistics: {
+                        ...processingStats,
+                        documentCount: documents.length,
+                        success: true
+                    },
+                    isEmpty: metadataItems.length === 0,
+                    deduplicatedCitations: mergedCitations,
+                    bibliography: bibliography,
+                    provenance: provenance,
+                    revisions: revisions,
+                    documentMatrix: createDocumentMatrix(documents, mergedCitations),
+                    citationInstances: mergeCitationInstances(documents, mergedCitations),
+                    fieldReport: mergeFieldReports(documents)
+                };
+
+            } catch (error) {
+                logger.endTiming('merge_citations');
+
+                const handledError = errorHandler.handleError(
+                    getConfig('ERROR_CODES.DEDUPLICATION_ERROR', 3003),
+                    'Citation merge failed',
+                    error,
+                    { documentCount: documents.length }
+                );
+
+                throw handledError;
+            }
+        },
+
         /**
          * 获取当前处理的引用
          * @returns {array} 当前引用数组
@@ -539,6 +2015,14 @@ window.RefExtractorCitationProcessor = (function() {
                 validCitations: 0,
                 duplicatesRemoved: 0,
                 citesWithoutMetadata: 0,
+                uncitedItems: 0,
+                customBibliographyEntries: 0,
+                notesOnlyItems: 0,
+                embeddedOnlyItems: 0,
+                insertedCitations: 0,
+                deletedCitations: 0,
+                repairedFields: 0,
+                lostFields: 0,
                 processingTime: 0
             };
         },
@@ -641,6 +2125,56 @@ window.RefExtractorCitationProcessor = (function() {
                 citationCounts: [...citationCounts].sort((a, b) => b - a),
                 totalCitations: sum
             };
+        },
+
+        /**
+         * 注册引用来源，使新的引用管理器无需修改parseField即可被识别
+         * 同ID的来源会被替换；新来源默认插入到通用CSL来源之前
+         * @param {object} definition - 来源声明
+         * @param {string} definition.id - 来源ID
+         * @param {string} definition.name - 显示名称
+         * @param {RegExp|string} definition.prefix - 前缀正则或CITATION_PREFIXES中的键名
+         * @param {function|string} definition.decode - (field, fieldIndex, context, source) => 引用对象数组，或内置解码器名称
+         * @param {function|string} definition.dedupeKey - (cite) => URI数组，或内置去重键名称（默认'uris'）
+         * @param {object} options - 注册选项
+         * @param {string} options.before - 插入到指定ID的来源之前（默认'csl'）
+         * @returns {object} 规范化后的来源对象
+         */
+        registerCitationSource(definition, options = {}) {
+            const source = normalizeCitationSource(definition);
+            const sources = getCitationSources();
+
+            const existingIndex = sources.findIndex(existing => existing.id === source.id);
+            if (existingIndex !== -1) {
+                sources.splice(existingIndex, 1, source);
+            } else {
+                const beforeIndex = sources.findIndex(existing => existing.id === (options.before || 'csl'));
+                sources.splice(beforeIndex === -1 ? sources.length : beforeIndex, 0, source);
+            }
+
+            getLogger().info(`Citation source registered: ${source.id}`);
+            return source;
+        },
+
+        /**
+         * 获取已注册的引用来源列表
+         * @returns {array} 来源摘要（id、name、prefix）
+         */
+        getCitationSources() {
+            return getCitationSources().map(({ id, name, prefix }) => ({ id, name, prefix }));
+        },
+
+        /**
+         * 查找字段对应的引用来源
+         * @param {string} field - 字段内容
+         * @returns {string|null} 来源ID，不匹配时返回null
+         */
+        matchCitationSource(field) {
+            if (typeof field !== 'string') {
+                return null;
+            }
+            const source = findCitationSource(field.trim());
+            return source ? source.id : null;
         }
     };
 
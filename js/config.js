@@ -23,7 +23,9 @@ window.RefExtractorConfig = {
      */
     DOCUMENT_TYPES: {
         OFFICE_OPEN_XML: 'OfficeOpenXML',
-        OPEN_DOCUMENT: 'OpenDocument'
+        OPEN_DOCUMENT: 'OpenDocument',
+        WORD_BINARY: 'WordBinary',
+        RTF: 'RichText'
     },
 
     /**
@@ -32,9 +34,21 @@ window.RefExtractorConfig = {
     FILE_PATHS: {
         // OfficeOpenXML (.docx) 文件路径
         OFFICE_OPEN_XML: {
-            CONTENT_FILES: ['word/document.xml', 'word/footnotes.xml', 'word/endnotes.xml'],
+            // 无法通过关系文件和内容类型发现文档部件时使用的默认部件
+            CONTENT_FILES: [
+                'word/document.xml', 'word/footnotes.xml', 'word/endnotes.xml',
+                'word/comments.xml', 'word/glossary/document.xml'
+            ],
             STYLE_FILE: 'docProps/custom.xml',
-            INDICATOR_FILE: 'word/document.xml'
+            INDICATOR_FILE: 'word/document.xml',
+            // 用于发现文档部件（页眉、页脚、批注等）的包文件
+            DOCUMENT_RELS_FILE: 'word/_rels/document.xml.rels',
+            CONTENT_TYPES_FILE: '[Content_Types].xml',
+            // 辅助文件（按需读取，如Word内置引文的书目源数据库）
+            AUXILIARY_FILE_PATTERNS: [
+                /^customXml\/item\d+\.xml$/,
+                /^word\/webextensions\/webextension\d+\.xml$/
+            ]
         },
         // OpenDocument (.odt) 文件路径
         OPEN_DOCUMENT: {
@@ -44,18 +58,296 @@ window.RefExtractorConfig = {
         }
     },
 
+    /**
+     * 支持的输入格式配置
+     * 启用宏的文档（.docm）和模板（.dotx、.dotm）与.docx结构相同；
+     * Flat OPC（Word另存为XML）和.fodt是不压缩的单个XML文件
+     */
+    SUPPORTED_FORMATS: {
+        EXTENSIONS: ['.docx', '.docm', '.dotx', '.dotm', '.odt', '.xml', '.fodt', '.doc', '.rtf'],
+        // 需要按单个XML文件读取的扩展名
+        FLAT_EXTENSIONS: ['.xml', '.fodt'],
+        // 旧版Word二进制文档（复合文件格式）的扩展名
+        WORD_BINARY_EXTENSIONS: ['.doc'],
+        RTF_EXTENSIONS: ['.rtf'],
+        // ZIP文件开头的签名（本地文件头和空归档的目录结束记录）
+        ZIP_SIGNATURES: [
+            [0x50, 0x4B, 0x03, 0x04],
+            [0x50, 0x4B, 0x05, 0x06]
+        ],
+        MIME_TYPES: [
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/vnd.ms-word.document.macroEnabled.12',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.template',
+            'application/vnd.ms-word.template.macroEnabled.12',
+            'application/vnd.oasis.opendocument.text',
+            'application/vnd.oasis.opendocument.text-flat-xml',
+            'application/xml',
+            'text/xml',
+            'application/msword',
+            'application/rtf',
+            'text/rtf'
+        ],
+        DESCRIPTIONS: {
+            '.docx': 'Microsoft Word Document (Office Open XML)',
+            '.docm': 'Microsoft Word Macro-Enabled Document',
+            '.dotx': 'Microsoft Word Template',
+            '.dotm': 'Microsoft Word Macro-Enabled Template',
+            '.odt': 'OpenDocument Text (LibreOffice/OpenOffice)',
+            '.xml': 'Microsoft Word XML Document (Flat OPC)',
+            '.fodt': 'Flat OpenDocument Text (LibreOffice/OpenOffice)',
+            '.doc': 'Microsoft Word 97-2003 Document',
+            '.rtf': 'Rich Text Format'
+        }
+    },
+
+    /**
+     * 单文件XML格式配置 - 通过根元素命名空间识别
+     */
+    FLAT_XML: {
+        // Flat OPC：pkg:package/pkg:part，部件内容位于pkg:xmlData或pkg:binaryData中
+        OPC_PACKAGE_NAMESPACE: 'http://schemas.microsoft.com/office/2006/xmlPackage',
+        // Flat ODT：office:document同时包含office:meta和office:body
+        ODF_OFFICE_NAMESPACE: 'urn:oasis:names:tc:opendocument:xmlns:office:1.0',
+        CONTENT_TYPES_NAMESPACE: 'http://schemas.openxmlformats.org/package/2006/content-types'
+    },
+
+    /**
+     * 压缩包解压限制 - 防止解压炸弹（zip bomb）耗尽内存
+     * 解压总量按文档计算，嵌入文档计入所在文档；条目声明的大小在加载时检查，实际解压的字节数在解压过程中检查
+     */
+    ARCHIVE_LIMITS: {
+        // 选择的文件大小上限（压缩后）
+        MAX_FILE_SIZE: 50 * 1024 * 1024,
+        // 压缩包中的条目数上限
+        MAX_ENTRY_COUNT: 10000,
+        // 单个部件解压后的大小上限
+        MAX_PART_SIZE: 100 * 1024 * 1024,
+        // 一个文档（含嵌入文档）解压的总字节数上限
+        MAX_TOTAL_SIZE: 500 * 1024 * 1024,
+        // 单个条目的压缩比上限，只检查解压后超过RATIO_THRESHOLD字节的条目
+        MAX_COMPRESSION_RATIO: 100,
+        RATIO_THRESHOLD: 1024 * 1024
+    },
+
+    /**
+     * 损坏压缩包的恢复配置
+     * 无法按中央目录加载ZIP文件（例如文件被截断）时，扫描本地文件头重建条目列表并解压可读取的部件
+     */
+    ARCHIVE_RECOVERY: {
+        STRATEGY_NAME: 'local-file-headers',
+        // 只恢复提取引用需要的XML部件和关系文件，跳过图片等二进制部件
+        PART_PATTERN: /\.(xml|rels)$/i
+    },
+
+    /**
+     * 嵌入文档包配置 - 嵌入的.docx/.odt文档和以包内部件保存的主控文档子文档
+     */
+    EMBEDDED_PACKAGES: {
+        // 最大嵌入层级（1表示只读取主文档直接嵌入的文档）
+        MAX_DEPTH: 2,
+        FILE_PATTERN: /\.(docx|docm|dotx|dotm|odt)$/i,
+        SUBDOCUMENT_RELATIONSHIP_SUFFIX: '/subDocument',
+        // 嵌入文档部件名称中包路径与部件路径的分隔符
+        NAME_SEPARATOR: '!/'
+    },
+
+    /**
+     * 旧版Word二进制文档（.doc）配置
+     * 文档文本保存在复合文件的WordDocument流中，由表流（0Table或1Table）中的片段表（piece table）定位
+     */
+    WORD_BINARY: {
+        CFB_SIGNATURE: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1],
+        // 加密的OOXML文档（密码保护或IRM）是包含这两个流的复合文件，而不是ZIP包
+        ENCRYPTED_PACKAGE_STREAMS: ['EncryptionInfo', 'EncryptedPackage'],
+        STREAMS: {
+            WORD_DOCUMENT: 'WordDocument',
+            TABLE_0: '0Table',
+            TABLE_1: '1Table'
+        },
+        FIB_IDENTIFIER: 0xA5EC,
+        // 文档各部分在文本中依次排列，字符数（ccp）位于FibRgLw97中的对应索引
+        STORIES: [
+            { name: 'main', storyType: 'main', ccpIndex: 3 },
+            { name: 'footnotes', storyType: 'footnote', ccpIndex: 4 },
+            { name: 'headers', storyType: 'header', ccpIndex: 5 },
+            { name: 'comments', storyType: 'comment', ccpIndex: 7 },
+            { name: 'endnotes', storyType: 'endnote', ccpIndex: 8 },
+            { name: 'textboxes', storyType: 'main', ccpIndex: 9 },
+            { name: 'header-textboxes', storyType: 'header', ccpIndex: 10 }
+        ],
+        // 部件名称前缀（部件名称为WordDocument/{部分名称}）
+        PART_PREFIX: 'WordDocument/',
+        // 字段开始、分隔和结束字符
+        FIELD_MARKERS: {
+            BEGIN: '\u0013',
+            SEPARATE: '\u0014',
+            END: '\u0015'
+        },
+        // 段落标记和表格单元格标记
+        PARAGRAPH_MARKS: ['\r', '\u0007']
+    },
+
+    /**
+     * RTF文档配置
+     * 字段保存为{\field{\*\fldinst ...}{\fldrslt ...}}组，解析时转换为与.doc相同的字段标记文本，
+     * 文档部分名称与WORD_BINARY.STORIES一致
+     */
+    RTF: {
+        SIGNATURE: '{\\rtf',
+        PART_PREFIX: 'RTF/',
+        DEFAULT_CODE_PAGE: 1252,
+        // 文档部分目标到文档部分名称的映射（其余文本属于main）
+        STORY_DESTINATIONS: {
+            footnote: 'footnotes',
+            header: 'headers', headerl: 'headers', headerr: 'headers', headerf: 'headers',
+            footer: 'headers', footerl: 'headers', footerr: 'headers', footerf: 'headers',
+            annotation: 'comments'
+        },
+        // 不包含文档文本的目标，整个组被跳过（以\*标记的未知目标同样跳过）
+        SKIPPED_DESTINATIONS: [
+            'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'info', 'pict',
+            'objdata', 'themedata', 'colorschememapping', 'datastore', 'latentstyles', 'rsidtbl',
+            'xmlnstbl', 'generator', 'filetbl', 'revtbl', 'mmathPr', 'atnid', 'atnauthor'
+        ]
+    },
+
+    /**
+     * Word文档部件（story part）配置 - 可能包含引用字段的部件类型
+     * 按关系类型（word/_rels/document.xml.rels）和内容类型（[Content_Types].xml）识别
+     */
+    STORY_PARTS: {
+        RELATIONSHIP_TYPE_SUFFIXES: [
+            '/header', '/footer', '/footnotes', '/endnotes', '/comments', '/glossaryDocument'
+        ],
+        CONTENT_TYPES: [
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml',
+            'application/vnd.ms-word.document.macroEnabled.main+xml',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.template.main+xml',
+            'application/vnd.ms-word.template.macroEnabledTemplate.main+xml',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.footnotes+xml',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.endnotes+xml',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document.glossary+xml'
+        ]
+    },
+
+    /**
+     * 字段来源信息配置 - 用于确定字段所在的段落、附近标题和文档部分类型
+     */
+    FIELD_PROVENANCE: {
+        // 段落元素本地名称（OOXML为w:p；ODT为text:p和text:h）
+        PARAGRAPH_ELEMENTS: ['p', 'h'],
+        // 标题段落样式ID（内置样式ID随界面语言变化，如Heading1、berschrift1、Titre1）
+        HEADING_STYLE_PATTERN: /^(heading|title|berschrift|titre|titolo|kop|rubrik|encabezado|ttulo)\s*\d*$/i,
+        // 按部件路径识别文档部分类型（未匹配的部件为main）
+        STORY_TYPE_PATTERNS: [
+            { type: 'footnote', pattern: /footnotes\.xml$/ },
+            { type: 'endnote', pattern: /endnotes\.xml$/ },
+            { type: 'header', pattern: /header\d*\.xml$/ },
+            { type: 'footer', pattern: /footer\d*\.xml$/ },
+            { type: 'comment', pattern: /comments\.xml$/ },
+            { type: 'glossary', pattern: /glossary\// }
+        ],
+        // 视为注释的文档部分类型（用于判断条目是否只在脚注/尾注中被引用）
+        NOTE_STORY_TYPES: ['footnote', 'endnote']
+    },
+
+    /**
+     * 修订跟踪配置 - 决定如何处理文档中插入和删除的引用
+     */
+    REVISIONS: {
+        MODES: {
+            // 接受所有修订后的视图（跳过已删除的引用）
+            ACCEPTED: 'accepted',
+            // 修订前的原始视图（跳过新插入的引用）
+            ORIGINAL: 'original',
+            // 保留全部引用并标注修订状态
+            ALL: 'all'
+        },
+        DEFAULT_MODE: 'accepted',
+        // 修订容器元素的本地名称（OOXML为w:del/w:ins/w:moveFrom/w:moveTo；ODT删除内容位于text:deletion中）
+        DELETION_ELEMENTS: ['del', 'moveFrom', 'deletion'],
+        INSERTION_ELEMENTS: ['ins', 'moveTo'],
+        // ODT插入内容不在容器中，而是位于text:change-start与text:change-end之间，
+        // 两者的text:change-id指向text:tracked-changes中包含text:insertion的text:changed-region
+        CHANGE_RANGE_ELEMENTS: {
+            START: 'change-start',
+            END: 'change-end',
+            REGION: 'changed-region',
+            INSERTION: 'insertion'
+        }
+    },
+
+    /**
+     * 容错字段扫描器配置
+     * DOMParser拒绝内容部件（例如包含未定义的实体）时，作为XML错误的恢复策略按标记顺序扫描原始XML
+     */
+    XML_FALLBACK: {
+        STRATEGY_NAME: 'tolerant-field-scanner'
+    },
+
     /**
      * 引用字段前缀配置 - 用于识别不同引用管理器的字段
      */
     CITATION_PREFIXES: {
         // Mendeley引用字段前缀
         MENDELEY: /^ADDIN CSL_CITATION/,
+        // Mendeley Cite内容控件标记前缀（后接Base64编码的CSL引用JSON）
+        MENDELEY_CITE: /^MENDELEY_CITATION_v3_/,
+        // Zotero引用字段前缀（Word字段带ADDIN，ODT引用标记和书签不带）
+        ZOTERO: /^(ADDIN )?ZOTERO_ITEM CSL_CITATION/,
         // Zotero在Word中的引用字段前缀
         ZOTERO_WORD: /^ADDIN ZOTERO_ITEM CSL_CITATION/,
         // Zotero在ODT中的引用字段前缀
         ZOTERO_ODT: /^ZOTERO_ITEM CSL_CITATION/,
         // 通用CSL引用字段前缀
-        CSL_GENERAL: /^(ADDIN )?(ZOTERO_ITEM )?CSL_CITATION/
+        CSL_GENERAL: /^(ADDIN )?(ZOTERO_ITEM )?CSL_CITATION/,
+        // Zotero参考文献表字段前缀（包含未引用、省略和自定义条目）
+        ZOTERO_BIBLIOGRAPHY: /^(ADDIN )?ZOTERO_BIBL/,
+        // EndNote引用字段前缀（包括EN.CITE.DATA字段）
+        ENDNOTE: /^ADDIN EN\.CITE/,
+        // EN.CITE.DATA字段前缀（载荷为w:fldData中Base64编码的EndNote XML，由字段提取器附加在指令之后）
+        ENDNOTE_DATA: /^ADDIN EN\.CITE\.DATA/,
+        // Citavi占位符字段前缀（载荷为Base64编码的JSON）
+        CITAVI: /^ADDIN CITAVI\.PLACEHOLDER/,
+        // Word内置引文字段前缀（CITATION 标记 \l 1033）
+        WORD_CITATION: /^CITATION\s/,
+        // Papers 2引用字段前缀（载荷为<citation>XML）
+        PAPERS: /^ADDIN PAPERS2_CITATIONS/,
+        // ReadCube Papers引用字段前缀
+        READCUBE: /^ADDIN RW\.CITE/
+    },
+
+    /**
+     * 引用来源注册表 - 按顺序匹配，第一个匹配的来源负责解析字段
+     * prefix：CITATION_PREFIXES中的键名（或正则）；decoder：载荷解码器名称；
+     * dedupeKey：去重键生成方式名称（见citationProcessor中的内置解码器和去重键）
+     * 新的引用管理器可在此追加，或运行时调用RefExtractorCitationProcessor.registerCitationSource()
+     */
+    CITATION_SOURCES: [
+        { id: 'zotero', name: 'Zotero', prefix: 'ZOTERO', decoder: 'csl-json', dedupeKey: 'uris' },
+        { id: 'mendeley', name: 'Mendeley', prefix: 'MENDELEY', decoder: 'csl-json', dedupeKey: 'uris' },
+        { id: 'mendeley-cite', name: 'Mendeley Cite', prefix: 'MENDELEY_CITE', decoder: 'mendeley-cite', dedupeKey: 'mendeley-uuid' },
+        { id: 'papers', name: 'Papers', prefix: 'PAPERS', decoder: 'papers2', dedupeKey: 'uris' },
+        { id: 'readcube', name: 'ReadCube Papers', prefix: 'READCUBE', decoder: 'readcube', dedupeKey: 'uris' },
+        { id: 'endnote', name: 'EndNote', prefix: 'ENDNOTE', decoder: 'endnote', dedupeKey: 'uris' },
+        { id: 'citavi', name: 'Citavi', prefix: 'CITAVI', decoder: 'citavi', dedupeKey: 'uris' },
+        { id: 'word', name: 'Word', prefix: 'WORD_CITATION', decoder: 'word-citation', dedupeKey: 'uris' },
+        // 其他以CSL_CITATION开头的字段
+        { id: 'csl', name: 'CSL', prefix: 'CSL_GENERAL', decoder: 'csl-json', dedupeKey: 'uris' }
+    ],
+
+    /**
+     * Zotero书签模式配置 - 引用以书签形式存储时，字段代码分块保存在文档自定义属性中
+     */
+    ZOTERO_BOOKMARKS: {
+        // 书签名称前缀
+        NAME_PREFIX: 'ZOTERO_BREF_',
+        // 自定义属性分块名称：ZOTERO_BREF_{书签ID}_{序号}
+        CHUNK_PATTERN: /^(ZOTERO_BREF_.+)_(\d+)$/
     },
 
     /**
@@ -63,23 +355,66 @@ window.RefExtractorConfig = {
      */
     XML_SELECTORS: {
         // OfficeOpenXML字段选择器
+        // 元素按命名空间URI（NAMESPACES中的命名空间组）和本地名称匹配，与生成工具使用的前缀无关；
+        // 对象形式的选择器为{namespaces, element, attribute, valuePrefix}
         OFFICE_OPEN_XML: {
-            FIELD_CHAR_BEGIN: "*|fldChar[*|fldCharType=begin]",
-            FIELD_CHAR_END: "*|fldChar[*|fldCharType=end]",
-            INSTR_TEXT: "w:instrText"
+            // 字段相关元素的本地名称（由字段分词器按文档顺序扫描，属于WORDPROCESSINGML命名空间）
+            FIELD_ELEMENTS: {
+                FIELD_CHAR: 'fldChar',
+                INSTR_TEXT: 'instrText',
+                DELETED_INSTR_TEXT: 'delInstrText',
+                SIMPLE_FIELD: 'fldSimple',
+                FIELD_DATA: 'fldData'
+            },
+            ZOTERO_BOOKMARKS: {
+                namespaces: 'WORDPROCESSINGML',
+                element: 'bookmarkStart',
+                attribute: 'name',
+                valuePrefix: 'ZOTERO_BREF_'
+            },
+            MENDELEY_CITE_TAGS: {
+                namespaces: 'WORDPROCESSINGML',
+                element: 'tag',
+                attribute: 'val',
+                valuePrefix: 'MENDELEY_CITATION_v3_'
+            }
         },
         // OpenDocument字段选择器
         OPEN_DOCUMENT: {
-            REFERENCE_MARKS: "*|reference-mark-start[*|name]"
+            REFERENCE_MARKS: "*|reference-mark-start[*|name]",
+            ZOTERO_BOOKMARKS: "*|bookmark-start[*|name^=ZOTERO_BREF_]"
         },
         // CSL样式选择器
         STYLE_SELECTORS: {
             MENDELEY: "property[name='Mendeley Recent Style Id 0_1']",
             ZOTERO_OFFICE: "property[name^=ZOTERO_PREF]>*",
-            ZOTERO_ODT: "*|user-defined[*|name^=ZOTERO_PREF]"
+            ZOTERO_ODT: "*|user-defined[*|name^=ZOTERO_PREF]",
+            MENDELEY_CITE: "*|property[*|name=MENDELEY_CITATIONS_STYLE]"
+        },
+        // Zotero书签载荷选择器（位于自定义属性文件中）
+        BOOKMARK_PAYLOAD_SELECTORS: {
+            ZOTERO_OFFICE: "property[name^=ZOTERO_BREF_]",
+            ZOTERO_ODT: "*|user-defined[*|name^=ZOTERO_BREF_]"
         }
     },
 
+    /**
+     * XML命名空间配置 - 同时支持Transitional和Strict Open XML
+     */
+    NAMESPACES: {
+        WORDPROCESSINGML: [
+            'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+            'http://purl.oclc.org/ooxml/wordprocessingml/main'
+        ],
+        MARKUP_COMPATIBILITY: [
+            'http://schemas.openxmlformats.org/markup-compatibility/2006'
+        ],
+        BIBLIOGRAPHY: [
+            'http://schemas.openxmlformats.org/officeDocument/2006/bibliography',
+            'http://purl.oclc.org/ooxml/officeDocument/bibliography'
+        ]
+    },
+
     /**
      * 输出格式配置
      */
@@ -89,7 +424,9 @@ window.RefExtractorConfig = {
         BIBTEX: 'bibtex',
         RIS: 'ris',
         BIBLIOGRAPHY: 'bibliography',
-        BIBLIOGRAPHY_WITH_COUNTS: 'bibliography-with-counts'
+        BIBLIOGRAPHY_WITH_COUNTS: 'bibliography-with-counts',
+        DOCUMENT_MATRIX: 'document-matrix',
+        CITATION_INSTANCES: 'citation-instances'
     },
 
     /**
@@ -101,7 +438,9 @@ window.RefExtractorConfig = {
         'bibtex': '.bib',
         'ris': '.ris',
         'bibliography': '.txt',
-        'bibliography-with-counts': '.tsv'
+        'bibliography-with-counts': '.tsv',
+        'document-matrix': '.tsv',
+        'citation-instances': '.tsv'
     },
 
     /**
@@ -112,17 +451,63 @@ window.RefExtractorConfig = {
         LOCAL_URI_PREFIX: 'http://zotero.org/users/local/',
         WEB_URI_PREFIX: 'http://zotero.org/users/',
         SELECTION_PREFIX: 'zotero://select/',
+        // 参考文献表中未引用条目的标记（写入note字段）
+        UNCITED_NOTE: 'Uncited item (listed in the document bibliography)',
         LIBRARY_TYPES: {
             USERS: 'users',
             GROUPS: 'groups'
         }
     },
 
+    /**
+     * EndNote集成配置
+     */
+    ENDNOTE: {
+        // 去重键前缀：endnote://{数据库ID}/{记录号}
+        URI_PREFIX: 'endnote://'
+    },
+
+    /**
+     * Mendeley Cite集成配置
+     */
+    MENDELEY_CITE: {
+        // 去重键前缀，与Mendeley Desktop字段中的URI格式一致，便于合并新旧两种引用
+        URI_PREFIX: 'http://www.mendeley.com/documents/?uuid='
+    },
+
+    /**
+     * Papers集成配置
+     */
+    PAPERS: {
+        // Papers 2去重键前缀：papers2://publication/uuid/{UUID}
+        URI_PREFIX: 'papers2://publication/uuid/',
+        // ReadCube Papers去重键前缀：readcube://doc/{文献ID}
+        READCUBE_URI_PREFIX: 'readcube://doc/'
+    },
+
+    /**
+     * Citavi集成配置
+     */
+    CITAVI: {
+        // 去重键前缀：citavi://reference/{ReferenceId}
+        URI_PREFIX: 'citavi://reference/'
+    },
+
+    /**
+     * Word内置引文配置
+     */
+    WORD_SOURCES: {
+        // 书目源数据库（customXml/item*.xml中的b:Sources）的命名空间见NAMESPACES.BIBLIOGRAPHY
+        // 去重键前缀：word-source://{标记}
+        URI_PREFIX: 'word-source://'
+    },
+
     /**
      * UI元素ID配置
      */
     UI_ELEMENTS: {
         FILE_UPLOAD: 'file_upload',
+        REVISION_MODE: 'revision_mode',
         OUTPUT_FORMAT: 'output_format',
         EXTRACT_COUNT: 'extract_count',
         SELECTED_STYLE: 'selected_style',
@@ -130,7 +515,10 @@ window.RefExtractorConfig = {
         COPY_BTN: 'copy_to_clipboard',
         ZOTERO_BTN: 'zotero_item_selection_button',
         ZOTERO_LIST: 'zotero_item_selection_link_list',
-        TEXT_AREA: 'textArea'
+        TEXT_AREA: 'textArea',
+        EXTRACT_PROGRESS: 'extract_progress',
+        CANCEL_BTN: 'cancel_extraction',
+        DROP_ZONE: 'drop_zone'
     },
 
     /**
@@ -142,6 +530,10 @@ window.RefExtractorConfig = {
         FILE_PARSE_ERROR: 1002,
         INVALID_FILE_TYPE: 1003,
         CORRUPTED_ZIP: 1004,
+        DECOMPRESSION_LIMIT_EXCEEDED: 1005,
+        ENCRYPTED_DOCUMENT: 1006,
+        LEGACY_BINARY_DOCUMENT: 1007,
+        NOT_A_DOCUMENT_ARCHIVE: 1008,
 
         // XML处理错误 (2000-2999)
         XML_PARSE_ERROR: 2001,
@@ -184,6 +576,46 @@ window.RefExtractorConfig = {
         MAX_LOG_ENTRIES: 1000
     },
 
+    /**
+     * Web Worker配置 - 文档压缩包在后台线程中加载和解压，避免大文档阻塞页面
+     * Worker中没有DOMParser，XML解析仍在主线程中进行
+     */
+    WORKER: {
+        ENABLED: true,
+        SCRIPT: 'js/extractionWorker.js',
+        // Worker内通过importScripts加载的第三方库，使用同源副本（与index.html中的版本相同），路径相对于Worker脚本
+        LIBRARIES: ['../libraries/jszip.min.js'],
+        // Worker内通过importScripts加载的模块（路径相对于Worker脚本）
+        MODULES: ['logger.js', 'errorHandler.js', 'documentParser.js', 'extractionPipeline.js'],
+        // Worker中解压的部件：提取引用需要的XML部件和关系文件（嵌入文档按内容识别），跳过图片等二进制部件
+        PART_PATTERN: /\.(xml|rels)$/i
+    },
+
+    /**
+     * 进度事件配置 - 各处理阶段在总进度（0-100）中所占的区间
+     */
+    PROGRESS: {
+        STAGES: {
+            parse: { start: 0, end: 70, label: 'Reading document' },
+            extract: { start: 70, end: 85, label: 'Extracting fields' },
+            process: { start: 85, end: 100, label: 'Processing citations' },
+            complete: { start: 100, end: 100, label: 'Done' }
+        }
+    },
+
+    /**
+     * 批处理配置 - 一次处理多个文档（多选、拖放文件夹或文档压缩包）并合并为一个条目集
+     */
+    BATCH: {
+        // 作为文档集合展开的压缩包扩展名
+        ARCHIVE_EXTENSIONS: ['.zip'],
+        // 跳过的文件名前缀（Word锁定文件和隐藏文件）
+        IGNORED_NAME_PREFIXES: ['~$', '.'],
+        // 跳过的目录（macOS压缩包中的资源分支目录）
+        IGNORED_FOLDERS: ['__MACOSX'],
+        COLLECT_LABEL: 'Collecting documents'
+    },
+
     /**
      * 调试配置
      */
@@ -204,6 +636,11 @@ window.RefExtractorConfig = {
             INVALID_DOCUMENT_TYPE: '不支持的文档类型',
             NO_REFERENCES_FOUND: '未找到引用',
             PARSING_FAILED: '解析失败',
+            DECOMPRESSION_LIMIT_EXCEEDED: '文档解压后超出大小限制',
+            CORRUPTED_DOCUMENT: '文档已损坏或无效',
+            ENCRYPTED_DOCUMENT: '文档受密码或权限管理（IRM）保护，请在Word中移除保护后重新保存再试',
+            LEGACY_BINARY_DOCUMENT: '不支持此旧版二进制文件，请在Word中另存为.docx后再试',
+            NOT_A_DOCUMENT_ARCHIVE: '该文件不是Word或LibreOffice文档（例如Excel或PowerPoint文件）',
             NETWORK_ERROR: '网络错误',
             UNKNOWN_ERROR: '未知错误'
         },
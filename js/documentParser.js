@@ -1,5 +1,5 @@
 /**
- * @fileoverview 文档解析模块 - 处理Word(.docx)和LibreOffice(.odt)文档的解析
+ * @fileoverview 文档解析模块 - 处理Word(.docx/.docm/.dotx/.dotm/Flat OPC/.doc)、RTF和LibreOffice(.odt/.fodt)文档的解析
  * @version 1.0.0
  * @author Reference Extractor Team
  */
@@ -18,6 +18,12 @@ window.RefExtractorDocumentParser = (function() {
         currentFile: null,
         progress: 0
     };
+    // 各压缩包已解压的字节数（嵌入文档与所在文档共用同一个计数对象）
+    const archiveBudgets = new WeakMap();
+    // Worker已解压的嵌入压缩包（内存包到{条目路径: 压缩包快照}的映射）
+    const preloadedPackages = new WeakMap();
+    // 各压缩包中央目录中声明的条目大小
+    const declaredSizes = new WeakMap();
 
     /**
      * 获取配置的辅助函数
@@ -60,6 +66,679 @@ window.RefExtractorDocumentParser = (function() {
         };
     }
 
+    /**
+     * 判断错误是否由取消操作（AbortSignal）引起
+     * @param {*} error - 错误对象
+     * @returns {boolean} 是否为取消错误
+     */
+    function isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    /**
+     * 取消信号已触发时抛出AbortError
+     * @param {AbortSignal} signal - 取消信号
+     */
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw isAbortError(signal.reason) ? signal.reason : new DOMException('Document parsing was cancelled', 'AbortError');
+        }
+    }
+
+    /**
+     * 获取文件扩展名（小写，包含"."）
+     * @param {string} fileName - 文件名
+     * @returns {string} 扩展名，无扩展名时返回空字符串
+     */
+    function getFileExtension(fileName) {
+        const index = (fileName || '').lastIndexOf('.');
+        return index === -1 ? '' : fileName.substring(index).toLowerCase();
+    }
+
+    /**
+     * 创建与JSZip接口兼容的内存包对象（files映射和file(name).async()），
+     * 使单文件XML格式可以复用ZIP文档的部件发现和提取流程
+     * @param {object} parts - 部件路径到内容（字符串或Uint8Array）的映射
+     * @returns {object} 包对象
+     */
+    function createFlatPackage(parts) {
+        const files = {};
+        Object.keys(parts).forEach(name => {
+            files[name] = { name, dir: false };
+        });
+
+        return {
+            files,
+            file(name) {
+                if (!Object.prototype.hasOwnProperty.call(parts, name)) {
+                    return null;
+                }
+
+                return {
+                    name,
+                    async(type) {
+                        const value = parts[name];
+                        if (type === 'string') {
+                            return Promise.resolve(typeof value === 'string' ? value : new TextDecoder().decode(value));
+                        }
+                        return Promise.resolve(typeof value === 'string' ? new TextEncoder().encode(value) : value);
+                    }
+                };
+            }
+        };
+    }
+
+    /**
+     * 将Flat OPC文档拆分为部件
+     * xmlData部件序列化为XML字符串，binaryData部件解码为字节并与压缩包条目一样计入解压限制；
+     * 单文件中没有[Content_Types].xml，根据各部件的pkg:contentType生成
+     * @param {Document} xmlDoc - pkg:package文档
+     * @param {object} budget - 解压计数对象
+     * @returns {object} 部件路径到内容的映射
+     */
+    function readFlatOpcParts(xmlDoc, budget) {
+        const packageNamespace = getConfig('FLAT_XML.OPC_PACKAGE_NAMESPACE',
+            'http://schemas.microsoft.com/office/2006/xmlPackage');
+        const contentTypesNamespace = getConfig('FLAT_XML.CONTENT_TYPES_NAMESPACE',
+            'http://schemas.openxmlformats.org/package/2006/content-types');
+        const serializer = new XMLSerializer();
+        const contentTypesDoc = xmlDoc.implementation.createDocument(contentTypesNamespace, 'Types', null);
+        const parts = {};
+
+        const partElements = Array.from(xmlDoc.documentElement.children)
+            .filter(element => element.localName === 'part' && element.namespaceURI === packageNamespace);
+        checkEntryCount(partElements.length);
+
+        partElements.forEach(part => {
+            const partName = part.getAttributeNS(packageNamespace, 'name') || '';
+            const contentType = part.getAttributeNS(packageNamespace, 'contentType') || '';
+            const name = resolvePartPath('', partName);
+            if (!name) {
+                return;
+            }
+
+            const data = Array.from(part.children).find(child => child.namespaceURI === packageNamespace);
+            if (data && data.localName === 'xmlData' && data.firstElementChild) {
+                parts[name] = serializer.serializeToString(data.firstElementChild);
+            } else if (data && data.localName === 'binaryData') {
+                const binary = atob((data.textContent || '').replace(/\s+/g, ''));
+                countInflatedBytes(budget, name, binary.length, binary.length, null);
+                parts[name] = Uint8Array.from(binary, character => character.charCodeAt(0));
+            } else {
+                return;
+            }
+
+            if (contentType) {
+                const override = contentTypesDoc.createElementNS(contentTypesNamespace, 'Override');
+                override.setAttribute('PartName', partName);
+                override.setAttribute('ContentType', contentType);
+                contentTypesDoc.documentElement.appendChild(override);
+            }
+        });
+
+        const contentTypesFile = getConfig('FILE_PATHS.OFFICE_OPEN_XML.CONTENT_TYPES_FILE', '[Content_Types].xml');
+        parts[contentTypesFile] = serializer.serializeToString(contentTypesDoc);
+        return parts;
+    }
+
+    /**
+     * 加载单文件XML文档（Flat OPC或Flat ODT）
+     * @param {File} file - 文件对象
+     * @returns {Promise<object>} 与JSZip接口兼容的包对象
+     */
+    async function loadFlatPackage(file) {
+        const logger = getLogger();
+        const content = await file.text();
+        const xmlDoc = new DOMParser().parseFromString(content, 'text/xml');
+
+        if (xmlDoc.getElementsByTagName('parsererror').length > 0 || !xmlDoc.documentElement) {
+            throw new Error('Invalid XML document');
+        }
+
+        const root = xmlDoc.documentElement;
+
+        if (root.namespaceURI === getConfig('FLAT_XML.OPC_PACKAGE_NAMESPACE')) {
+            logger.debug('Loading Flat OPC package');
+            // 嵌入文档与单文件文档共用解压计数
+            const budget = { inflatedBytes: 0 };
+            const flatPackage = createFlatPackage(readFlatOpcParts(xmlDoc, budget));
+            archiveBudgets.set(flatPackage, budget);
+            return flatPackage;
+        }
+
+        if (root.namespaceURI === getConfig('FLAT_XML.ODF_OFFICE_NAMESPACE') && root.localName === 'document') {
+            // office:document同时包含正文和元数据，作为content.xml和meta.xml提供给提取流程
+            logger.debug('Loading Flat ODT document');
+            return createFlatPackage({
+                [getConfig('FILE_PATHS.OPEN_DOCUMENT.INDICATOR_FILE', 'content.xml')]: content,
+                [getConfig('FILE_PATHS.OPEN_DOCUMENT.STYLE_FILE', 'meta.xml')]: content
+            });
+        }
+
+        throw new Error('Unsupported XML document: not a Flat OPC or Flat ODT file');
+    }
+
+    /**
+     * 读取复合文件二进制格式（CFB/OLE2）
+     * 按头部的DIFAT构建FAT，读取目录项，并列出根存储下的流；
+     * 小于迷你流阈值的流保存在根目录项的迷你流中，通过迷你FAT定位
+     * @param {ArrayBuffer} buffer - 文件内容
+     * @returns {object} 复合文件对象（streams为根存储下的流名称，readStream(name)读取流内容）
+     */
+    function readCompoundFile(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const signature = getConfig('WORD_BINARY.CFB_SIGNATURE', [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+
+        if (bytes.length < 512 || signature.some((byte, index) => bytes[index] !== byte)) {
+            throw new Error('Invalid compound file: signature not found');
+        }
+
+        // 特殊扇区编号：大于MAXREGSECT的值表示链结束、空闲扇区或FAT/DIFAT扇区
+        const MAX_REGULAR_SECTOR = 0xFFFFFFFA;
+        const NO_STREAM = 0xFFFFFFFF;
+
+        const sectorSize = 1 << view.getUint16(0x1E, true);
+        const miniSectorSize = 1 << view.getUint16(0x20, true);
+        const miniStreamCutoff = view.getUint32(0x38, true);
+        const entriesPerSector = sectorSize / 4;
+
+        const sectorOffset = sector => {
+            const offset = (sector + 1) * sectorSize;
+            if (offset + sectorSize > bytes.length) {
+                throw new Error(`Invalid compound file: sector ${sector} is out of range`);
+            }
+            return offset;
+        };
+
+        // DIFAT：头部中的前109项，其余位于DIFAT扇区链中（每个扇区最后一项指向下一个扇区）
+        const fatSectors = [];
+        for (let i = 0; i < 109; i++) {
+            const sector = view.getUint32(0x4C + i * 4, true);
+            if (sector < MAX_REGULAR_SECTOR) fatSectors.push(sector);
+        }
+
+        let difatSector = view.getUint32(0x44, true);
+        for (let count = view.getUint32(0x48, true); count > 0 && difatSector < MAX_REGULAR_SECTOR; count--) {
+            const offset = sectorOffset(difatSector);
+            for (let i = 0; i < entriesPerSector - 1; i++) {
+                const sector = view.getUint32(offset + i * 4, true);
+                if (sector < MAX_REGULAR_SECTOR) fatSectors.push(sector);
+            }
+            difatSector = view.getUint32(offset + sectorSize - 4, true);
+        }
+
+        const fat = [];
+        fatSectors.forEach(sector => {
+            const offset = sectorOffset(sector);
+            for (let i = 0; i < entriesPerSector; i++) {
+                fat.push(view.getUint32(offset + i * 4, true));
+            }
+        });
+
+        // 沿分配表读取扇区链；链长度不超过分配表大小，避免损坏文件中的循环链
+        const readChain = (startSector, table, unitSize, readUnit) => {
+            const chunks = [];
+            let sector = startSector;
+            while (sector < MAX_REGULAR_SECTOR) {
+                if (chunks.length >= table.length) {
+                    throw new Error('Invalid compound file: sector chain does not terminate');
+                }
+                chunks.push(readUnit(sector));
+                sector = table[sector];
+            }
+
+            const data = new Uint8Array(chunks.length * unitSize);
+            chunks.forEach((chunk, index) => data.set(chunk, index * unitSize));
+            return data;
+        };
+        const readSectorChain = startSector => readChain(startSector, fat, sectorSize, sector => {
+            const offset = sectorOffset(sector);
+            return bytes.subarray(offset, offset + sectorSize);
+        });
+
+        // 目录项：每项128字节，名称为UTF-16LE
+        const directory = readSectorChain(view.getUint32(0x30, true));
+        const directoryView = new DataView(directory.buffer);
+        const entries = [];
+        for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+            const nameLength = Math.min(directoryView.getUint16(offset + 0x40, true), 64);
+            entries.push({
+                name: new TextDecoder('utf-16le').decode(directory.subarray(offset, offset + Math.max(nameLength - 2, 0))),
+                type: directory[offset + 0x42],
+                left: directoryView.getUint32(offset + 0x44, true),
+                right: directoryView.getUint32(offset + 0x48, true),
+                child: directoryView.getUint32(offset + 0x4C, true),
+                startSector: directoryView.getUint32(offset + 0x74, true),
+                size: directoryView.getUint32(offset + 0x78, true)
+            });
+        }
+
+        const root = entries[0];
+        if (!root) {
+            throw new Error('Invalid compound file: root directory entry not found');
+        }
+
+        // 迷你流保存在根目录项的扇区链中，迷你FAT位于普通扇区链中
+        const miniStream = readSectorChain(root.startSector).subarray(0, root.size);
+        const miniFatData = view.getUint32(0x40, true) > 0 ? readSectorChain(view.getUint32(0x3C, true)) : new Uint8Array(0);
+        const miniFatView = new DataView(miniFatData.buffer);
+        const miniFat = [];
+        for (let offset = 0; offset + 4 <= miniFatData.length; offset += 4) {
+            miniFat.push(miniFatView.getUint32(offset, true));
+        }
+
+        // 根存储的子项组织为红黑树，按left/right/child遍历同级项
+        const streams = new Map();
+        const pending = [root.child];
+        const visited = new Set();
+        while (pending.length > 0) {
+            const id = pending.pop();
+            if (id === NO_STREAM || id >= entries.length || visited.has(id)) {
+                continue;
+            }
+            visited.add(id);
+
+            const entry = entries[id];
+            if (entry.type === 2) {
+                streams.set(entry.name, entry);
+            }
+            pending.push(entry.left, entry.right);
+        }
+
+        return {
+            streams: Array.from(streams.keys()),
+
+            readStream(name) {
+                const entry = streams.get(name);
+                if (!entry) {
+                    return null;
+                }
+
+                if (entry.size < miniStreamCutoff) {
+                    return readChain(entry.startSector, miniFat, miniSectorSize, sector => {
+                        const offset = sector * miniSectorSize;
+                        return miniStream.subarray(offset, offset + miniSectorSize);
+                    }).subarray(0, entry.size);
+                }
+
+                return readSectorChain(entry.startSector).subarray(0, entry.size);
+            }
+        };
+    }
+
+    /**
+     * 读取旧版Word二进制文档的文本
+     * FIB（文件信息块）给出各文档部分的字符数和表流中片段表（Clx）的位置；
+     * 片段表将字符位置映射到WordDocument流中的压缩（cp1252）或UTF-16LE文本
+     * @param {object} compoundFile - 复合文件对象
+     * @returns {array} 文档部分数组（{name, storyType, text}）
+     */
+    function readWordBinaryStories(compoundFile) {
+        const streamNames = getConfig('WORD_BINARY.STREAMS', {});
+        const wordDocument = compoundFile.readStream(streamNames.WORD_DOCUMENT || 'WordDocument');
+        if (!wordDocument || wordDocument.length < 0x22) {
+            // 没有WordDocument流的复合文件是其他旧版Office文件（如.xls、.ppt）
+            throw createDocumentError('Compound file is not a Word binary document', 'LEGACY_BINARY_DOCUMENT');
+        }
+
+        // Word 6.0/95文档的FIB标识不同，只支持Word 97-2003格式
+        const fib = new DataView(wordDocument.buffer, wordDocument.byteOffset, wordDocument.byteLength);
+        if (fib.getUint16(0, true) !== getConfig('WORD_BINARY.FIB_IDENTIFIER', 0xA5EC)) {
+            throw createDocumentError('Unsupported Word binary document version', 'LEGACY_BINARY_DOCUMENT');
+        }
+
+        // FibBase标志：fEncrypted (0x0100)，fWhichTblStm (0x0200)
+        const flags = fib.getUint16(0x0A, true);
+        if (flags & 0x0100) {
+            throw createDocumentError('Word binary document is encrypted', 'ENCRYPTED_DOCUMENT');
+        }
+
+        const tableStream = compoundFile.readStream(flags & 0x0200
+            ? (streamNames.TABLE_1 || '1Table')
+            : (streamNames.TABLE_0 || '0Table'));
+        if (!tableStream) {
+            throw new Error('Invalid Word binary document: table stream not found');
+        }
+
+        // FibBase之后依次为csw/fibRgW、cslw/fibRgLw、cbRgFcLcb/fibRgFcLcbBlob
+        const csw = fib.getUint16(0x20, true);
+        const fibRgLwOffset = 0x22 + csw * 2 + 2;
+        const cslw = fib.getUint16(fibRgLwOffset - 2, true);
+        const fibRgFcLcbOffset = fibRgLwOffset + cslw * 4 + 2;
+        const fcClx = fib.getUint32(fibRgFcLcbOffset + 33 * 8, true);
+        const lcbClx = fib.getUint32(fibRgFcLcbOffset + 33 * 8 + 4, true);
+
+        if (lcbClx === 0 || fcClx + lcbClx > tableStream.length) {
+            throw new Error('Invalid Word binary document: piece table not found');
+        }
+
+        // Clx：若干Prc（0x01）之后是Pcdt（0x02），Pcdt包含PlcPcd（n+1个字符位置和n个8字节片段描述）
+        const table = new DataView(tableStream.buffer, tableStream.byteOffset, tableStream.byteLength);
+        let position = fcClx;
+        while (tableStream[position] === 0x01) {
+            position += 3 + table.getInt16(position + 1, true);
+        }
+        if (tableStream[position] !== 0x02) {
+            throw new Error('Invalid Word binary document: piece table not found');
+        }
+
+        const plcPcdLength = table.getUint32(position + 1, true);
+        const plcPcdOffset = position + 5;
+        const pieceCount = Math.floor((plcPcdLength - 4) / 12);
+        const cp1252 = new TextDecoder('windows-1252');
+        const utf16 = new TextDecoder('utf-16le');
+        let text = '';
+
+        for (let i = 0; i < pieceCount; i++) {
+            const cpStart = table.getUint32(plcPcdOffset + i * 4, true);
+            const cpEnd = table.getUint32(plcPcdOffset + (i + 1) * 4, true);
+            const fcValue = table.getUint32(plcPcdOffset + (pieceCount + 1) * 4 + i * 8 + 2, true);
+            const length = cpEnd - cpStart;
+
+            // fc的第30位表示片段以单字节压缩存储，此时文本位于fc/2处
+            if (fcValue & 0x40000000) {
+                const offset = (fcValue & 0x3FFFFFFF) / 2;
+                text += cp1252.decode(wordDocument.subarray(offset, offset + length));
+            } else {
+                text += utf16.decode(wordDocument.subarray(fcValue, fcValue + length * 2));
+            }
+        }
+
+        // 按FibRgLw97中的字符数切分文档各部分
+        let cpOffset = 0;
+        return getConfig('WORD_BINARY.STORIES', [{ name: 'main', storyType: 'main', ccpIndex: 3 }])
+            .map(story => {
+                const length = story.ccpIndex < cslw ? fib.getUint32(fibRgLwOffset + story.ccpIndex * 4, true) : 0;
+                const storyText = text.substring(cpOffset, cpOffset + length);
+                cpOffset += length;
+                return { name: story.name, storyType: story.storyType, text: storyText };
+            })
+            .filter(story => story.text.length > 0);
+    }
+
+    /**
+     * RTF特殊字符控制字
+     */
+    const RTF_SPECIAL_CHARACTERS = {
+        par: '\r',
+        cell: '\u0007',
+        line: '\n',
+        tab: '\t',
+        emdash: '\u2014',
+        endash: '\u2013',
+        emspace: '\u2003',
+        enspace: '\u2002',
+        bullet: '\u2022',
+        lquote: '\u2018',
+        rquote: '\u2019',
+        ldblquote: '\u201C',
+        rdblquote: '\u201D'
+    };
+
+    /**
+     * 获取RTF代码页对应的文本解码器
+     * @param {number} codePage - Windows代码页
+     * @returns {TextDecoder} 文本解码器
+     */
+    function getCodePageDecoder(codePage) {
+        const encodings = { 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5', 65001: 'utf-8' };
+        try {
+            return new TextDecoder(encodings[codePage] || `windows-${codePage}`);
+        } catch (error) {
+            getLogger().warn(`Unsupported RTF code page ${codePage}, falling back to windows-1252`);
+            return new TextDecoder('windows-1252');
+        }
+    }
+
+    /**
+     * RTF分词器：按组跟踪目标和Unicode回退字符数，将文本按文档部分（正文、脚注、页眉页脚、批注）收集；
+     * \field组转换为字段标记（开始0x13、\fldrslt前的分隔0x14、组结束时的结束0x15），
+     * 以便与.doc文档共用字段提取流程
+     * @param {string} content - RTF文本
+     * @returns {array} 文档部分数组（{name, text}）
+     */
+    function readRtfStories(content) {
+        const markers = getConfig('WORD_BINARY.FIELD_MARKERS', { BEGIN: '\u0013', SEPARATE: '\u0014', END: '\u0015' });
+        const storyDestinations = getConfig('RTF.STORY_DESTINATIONS', {});
+        const skippedDestinations = getConfig('RTF.SKIPPED_DESTINATIONS', []);
+
+        const stories = new Map([['main', []]]);
+        const groups = [];
+        let state = { story: 'main', skip: false, field: false, unicodeSkip: 1 };
+        let decoder = getCodePageDecoder(getConfig('RTF.DEFAULT_CODE_PAGE', 1252));
+        let pendingBytes = [];
+        let fallbackCharacters = 0;
+        let ignorableDestination = false;
+
+        const append = text => {
+            if (state.skip) {
+                return;
+            }
+            if (!stories.has(state.story)) {
+                stories.set(state.story, []);
+            }
+            stories.get(state.story).push(text);
+        };
+        const flushBytes = () => {
+            if (pendingBytes.length > 0) {
+                append(decoder.decode(new Uint8Array(pendingBytes)));
+                pendingBytes = [];
+            }
+        };
+        // \uN之后的回退字符（普通字符、\'hh或控制符号）不输出
+        const consumeFallback = () => {
+            if (fallbackCharacters > 0) {
+                fallbackCharacters--;
+                return true;
+            }
+            return false;
+        };
+
+        const controlWordPattern = /\\([a-zA-Z]{1,32})(-?\d{1,10})? ?/y;
+        let position = 0;
+
+        while (position < content.length) {
+            const character = content.charAt(position);
+
+            if (character === '{' || character === '}') {
+                flushBytes();
+                fallbackCharacters = 0;
+                ignorableDestination = false;
+
+                if (character === '{') {
+                    groups.push(state);
+                    state = { ...state, field: false };
+                } else {
+                    if (state.field) {
+                        append(markers.END);
+                    }
+                    state = groups.pop() || state;
+                }
+                position++;
+                continue;
+            }
+
+            if (character === '\r' || character === '\n') {
+                position++;
+                continue;
+            }
+
+            if (character !== '\\') {
+                flushBytes();
+                if (!consumeFallback()) {
+                    append(character);
+                }
+                position++;
+                continue;
+            }
+
+            // 控制符号：\'hh、\\、\{、\}、\~、\*等
+            const symbol = content.charAt(position + 1);
+            if (!/[a-zA-Z]/.test(symbol)) {
+                position += 2;
+                if (symbol === "'") {
+                    const byte = parseInt(content.substr(position, 2), 16);
+                    position += 2;
+                    if (!isNaN(byte) && !consumeFallback()) {
+                        pendingBytes.push(byte);
+                    }
+                    continue;
+                }
+
+                flushBytes();
+                if (symbol === '*') {
+                    ignorableDestination = true;
+                } else if (!consumeFallback()) {
+                    const symbols = { '\\': '\\', '{': '{', '}': '}', '~': '\u00A0', '_': '\u2011' };
+                    if (symbols[symbol]) {
+                        append(symbols[symbol]);
+                    } else if (symbol === '\r' || symbol === '\n') {
+                        append('\r');
+                    }
+                }
+                continue;
+            }
+
+            // 控制字
+            controlWordPattern.lastIndex = position;
+            const match = controlWordPattern.exec(content);
+            const word = match[1];
+            const parameter = match[2] !== undefined ? parseInt(match[2], 10) : null;
+            position = controlWordPattern.lastIndex;
+
+            if (word === 'bin') {
+                // 二进制数据直接跳过
+                position += Math.max(parameter || 0, 0);
+                continue;
+            }
+
+            flushBytes();
+
+            if (word === 'u' && parameter !== null) {
+                append(String.fromCharCode(parameter < 0 ? parameter + 65536 : parameter));
+                fallbackCharacters = state.unicodeSkip;
+                continue;
+            }
+
+            if (consumeFallback()) {
+                continue;
+            }
+
+            if (word === 'uc' && parameter !== null) {
+                state.unicodeSkip = parameter;
+            } else if (word === 'ansicpg' && parameter !== null) {
+                decoder = getCodePageDecoder(parameter);
+            } else if (word === 'field') {
+                state.field = true;
+                append(markers.BEGIN);
+            } else if (word === 'fldrslt') {
+                append(markers.SEPARATE);
+            } else if (storyDestinations[word]) {
+                state.story = storyDestinations[word];
+            } else if (skippedDestinations.includes(word) || (ignorableDestination && word !== 'fldinst')) {
+                state.skip = true;
+            } else if (RTF_SPECIAL_CHARACTERS[word]) {
+                append(RTF_SPECIAL_CHARACTERS[word]);
+            }
+
+            ignorableDestination = false;
+        }
+
+        flushBytes();
+
+        return Array.from(stories.entries())
+            .map(([name, chunks]) => ({ name, text: chunks.join('') }))
+            .filter(story => story.text.length > 0);
+    }
+
+    /**
+     * 根据文档部分文本创建文档对象（.doc和RTF文档）
+     * 文档部分的文本（保留字段标记字符）作为内容文件提供给字段提取器
+     * @param {File} file - 文件对象
+     * @param {string} documentType - 文档类型
+     * @param {array} stories - 文档部分数组（{name, text}）
+     * @param {string} partPrefix - 部件名称前缀
+     * @param {number} totalFiles - 文件内的流或部分数量
+     * @returns {object} 文档对象
+     */
+    function createStoryDocument(file, documentType, stories, partPrefix, totalFiles) {
+        const extractedFiles = stories.map(story => `${partPrefix}${story.name}`);
+
+        return {
+            type: documentType,
+            fileName: file.name,
+            fileSize: file.size,
+            contentFiles: stories.map(story => story.text),
+            styleContent: null,
+            auxiliaryFiles: {},
+            extractedFiles: extractedFiles,
+            styleFile: '',
+            embeddedDocuments: [],
+            linkedSubdocuments: [],
+            parsedAt: new Date().toISOString(),
+            metadata: {
+                totalFiles: totalFiles,
+                extractedFiles: extractedFiles.length,
+                auxiliaryFiles: 0,
+                embeddedDocuments: 0,
+                hasStyleFile: false
+            }
+        };
+    }
+
+    /**
+     * 解析旧版Word二进制文档（.doc）
+     * @param {File} file - 文件对象
+     * @param {function} onProgress - 进度回调（参数为进度百分比）
+     * @returns {Promise<object>} 文档对象
+     */
+    async function parseWordBinaryDocument(file, onProgress) {
+        const logger = getLogger();
+
+        logger.debug('Reading compound file');
+        onProgress(20);
+        const compoundFile = readCompoundFile(await file.arrayBuffer());
+
+        const encryptedStreams = getConfig('WORD_BINARY.ENCRYPTED_PACKAGE_STREAMS', ['EncryptionInfo', 'EncryptedPackage']);
+        if (encryptedStreams.every(name => compoundFile.streams.includes(name))) {
+            throw createDocumentError('Document is an encrypted OOXML package', 'ENCRYPTED_DOCUMENT');
+        }
+
+        logger.debug('Reading Word binary document text');
+        onProgress(60);
+        const stories = readWordBinaryStories(compoundFile);
+
+        onProgress(90);
+        return createStoryDocument(file, getConfig('DOCUMENT_TYPES.WORD_BINARY', 'WordBinary'), stories,
+            getConfig('WORD_BINARY.PART_PREFIX', 'WordDocument/'), compoundFile.streams.length);
+    }
+
+    /**
+     * 解析RTF文档
+     * @param {File} file - 文件对象
+     * @param {function} onProgress - 进度回调（参数为进度百分比）
+     * @returns {Promise<object>} 文档对象
+     */
+    async function parseRtfDocument(file, onProgress) {
+        const logger = getLogger();
+
+        // RTF是7位文本，非ASCII字符以\'hh或\uN转义，按单字节读取后再按文档代码页解码
+        onProgress(20);
+        const content = new TextDecoder('windows-1252').decode(await file.arrayBuffer());
+        if (!content.startsWith(getConfig('RTF.SIGNATURE', '{\\rtf'))) {
+            throw new Error('Invalid RTF document: header not found');
+        }
+
+        logger.debug('Tokenizing RTF document');
+        onProgress(60);
+        const stories = readRtfStories(content);
+
+        onProgress(90);
+        return createStoryDocument(file, getConfig('DOCUMENT_TYPES.RTF', 'RichText'), stories,
+            getConfig('RTF.PART_PREFIX', 'RTF/'), stories.length);
+    }
+
     /**
      * 检测文档类型
      * @param {object} zip - JSZip对象
@@ -69,94 +748,721 @@ window.RefExtractorDocumentParser = (function() {
         const logger = getLogger();
         logger.debug('Detecting document type');
 
-        const filesInZip = Object.keys(zip.files);
-        
-        // 检查OfficeOpenXML (.docx)
-        const officeIndicator = getConfig('FILE_PATHS.OFFICE_OPEN_XML.INDICATOR_FILE', 'word/document.xml');
-        if (filesInZip.includes(officeIndicator)) {
-            logger.info('Document type detected: OfficeOpenXML (.docx)');
-            return getConfig('DOCUMENT_TYPES.OFFICE_OPEN_XML', 'OfficeOpenXML');
-        }
+        const filesInZip = Object.keys(zip.files);
+        
+        // 检查OfficeOpenXML (.docx)
+        const officeIndicator = getConfig('FILE_PATHS.OFFICE_OPEN_XML.INDICATOR_FILE', 'word/document.xml');
+        if (filesInZip.includes(officeIndicator)) {
+            logger.info('Document type detected: OfficeOpenXML (.docx)');
+            return getConfig('DOCUMENT_TYPES.OFFICE_OPEN_XML', 'OfficeOpenXML');
+        }
+
+        // 检查OpenDocument (.odt)
+        const odtIndicator = getConfig('FILE_PATHS.OPEN_DOCUMENT.INDICATOR_FILE', 'content.xml');
+        if (filesInZip.includes(odtIndicator)) {
+            logger.info('Document type detected: OpenDocument (.odt)');
+            return getConfig('DOCUMENT_TYPES.OPEN_DOCUMENT', 'OpenDocument');
+        }
+
+        logger.warn('Unknown document type', { availableFiles: filesInZip });
+        return null;
+    }
+
+    /**
+     * 将关系目标解析为包内路径
+     * @param {string} baseDirectory - 关系源部件所在目录（如"word"）
+     * @param {string} target - 关系目标（相对路径或以"/"开头的绝对路径）
+     * @returns {string} 包内路径
+     */
+    function resolvePartPath(baseDirectory, target) {
+        if (target.charAt(0) === '/') {
+            return target.substring(1);
+        }
+
+        const segments = baseDirectory.split('/').filter(segment => segment.length > 0);
+        target.split('/').forEach(segment => {
+            if (segment === '..') {
+                segments.pop();
+            } else if (segment && segment !== '.') {
+                segments.push(segment);
+            }
+        });
+
+        return segments.join('/');
+    }
+
+    /**
+     * 读取并解析包内的XML文件，文件不存在或解析失败时返回null
+     * @param {object} zip - JSZip对象
+     * @param {string} fileName - 文件名
+     * @returns {Promise<Document|null>} XML文档
+     */
+    async function readPackageXml(zip, fileName) {
+        const file = zip.file(fileName);
+        if (!file) {
+            return null;
+        }
+
+        const xmlDoc = new DOMParser().parseFromString(await readZipEntry(zip, file, 'string'), 'text/xml');
+        return xmlDoc.getElementsByTagName('parsererror').length > 0 ? null : xmlDoc;
+    }
+
+    /**
+     * 发现.docx中可能包含引用的全部文档部件（正文、页眉、页脚、脚注、尾注、批注、构建基块）
+     * 同时参考word/_rels/document.xml.rels中的关系和[Content_Types].xml中的内容类型
+     * @param {object} zip - JSZip对象
+     * @param {array} availableFiles - ZIP中可用的文件列表
+     * @returns {Promise<array>} 部件路径数组（主文档在前）
+     */
+    async function discoverStoryParts(zip, availableFiles) {
+        const logger = getLogger();
+        const parts = new Set();
+
+        try {
+            const contentTypes = getConfig('STORY_PARTS.CONTENT_TYPES', []);
+            const contentTypesDoc = await readPackageXml(zip,
+                getConfig('FILE_PATHS.OFFICE_OPEN_XML.CONTENT_TYPES_FILE', '[Content_Types].xml'));
+
+            if (contentTypesDoc) {
+                Array.from(contentTypesDoc.getElementsByTagNameNS('*', 'Override')).forEach(override => {
+                    if (contentTypes.includes(override.getAttribute('ContentType'))) {
+                        parts.add(resolvePartPath('', override.getAttribute('PartName') || ''));
+                    }
+                });
+            }
+
+            const relsFile = getConfig('FILE_PATHS.OFFICE_OPEN_XML.DOCUMENT_RELS_FILE', 'word/_rels/document.xml.rels');
+            const relationshipTypeSuffixes = getConfig('STORY_PARTS.RELATIONSHIP_TYPE_SUFFIXES', []);
+            const relsDoc = await readPackageXml(zip, relsFile);
+
+            if (relsDoc) {
+                const baseDirectory = relsFile.replace(/_rels\/[^/]+$/, '');
+                Array.from(relsDoc.getElementsByTagNameNS('*', 'Relationship')).forEach(relationship => {
+                    const type = relationship.getAttribute('Type') || '';
+                    const target = relationship.getAttribute('Target') || '';
+                    if (target && relationship.getAttribute('TargetMode') !== 'External' &&
+                        relationshipTypeSuffixes.some(suffix => type.endsWith(suffix))) {
+                        parts.add(resolvePartPath(baseDirectory, target));
+                    }
+                });
+            }
+        } catch (error) {
+            logger.warn('Failed to discover story parts, falling back to default content files', error);
+        }
+
+        // 默认内容文件的顺序在前（主文档、脚注、尾注…），其余部件按名称排序
+        const defaultOrder = getConfig('FILE_PATHS.OFFICE_OPEN_XML.CONTENT_FILES', []);
+        const rank = part => {
+            const index = defaultOrder.indexOf(part);
+            return index === -1 ? defaultOrder.length : index;
+        };
+
+        const storyParts = Array.from(parts)
+            .filter(part => availableFiles.includes(part))
+            .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b, undefined, { numeric: true }));
+
+        logger.debug('Story parts discovered', { storyParts });
+        return storyParts;
+    }
+
+    /**
+     * 获取需要提取的文件列表
+     * @param {string} documentType - 文档类型
+     * @param {array} availableFiles - ZIP中可用的文件列表
+     * @param {array} storyParts - 已发现的文档部件（为空时使用配置中的默认内容文件）
+     * @returns {object} 包含内容文件和样式文件的对象
+     */
+    function getFilesToExtract(documentType, availableFiles, storyParts = []) {
+        const logger = getLogger();
+        logger.debug('Determining files to extract', { documentType });
+
+        let contentFiles = [];
+        let styleFile = '';
+        let auxiliaryFiles = [];
+
+        if (documentType === getConfig('DOCUMENT_TYPES.OFFICE_OPEN_XML')) {
+            const possibleContentFiles = getConfig('FILE_PATHS.OFFICE_OPEN_XML.CONTENT_FILES', [
+                'word/document.xml', 'word/footnotes.xml', 'word/endnotes.xml'
+            ]);
+            styleFile = getConfig('FILE_PATHS.OFFICE_OPEN_XML.STYLE_FILE', 'docProps/custom.xml');
+            
+            // 优先使用已发现的部件，否则只包含实际存在的默认文件
+            contentFiles = storyParts.length > 0
+                ? [...storyParts]
+                : possibleContentFiles.filter(file => availableFiles.includes(file));
+
+            const auxiliaryPatterns = getConfig('FILE_PATHS.OFFICE_OPEN_XML.AUXILIARY_FILE_PATTERNS', []);
+            auxiliaryFiles = availableFiles.filter(file =>
+                auxiliaryPatterns.some(pattern => pattern.test(file))
+            );
+        } else if (documentType === getConfig('DOCUMENT_TYPES.OPEN_DOCUMENT')) {
+            const possibleContentFiles = getConfig('FILE_PATHS.OPEN_DOCUMENT.CONTENT_FILES', ['content.xml']);
+            styleFile = getConfig('FILE_PATHS.OPEN_DOCUMENT.STYLE_FILE', 'meta.xml');
+            
+            contentFiles = availableFiles.filter(file => possibleContentFiles.includes(file));
+        }
+
+        logger.debug('Files to extract determined', { 
+            contentFiles, 
+            styleFile, 
+            auxiliaryFiles,
+            availableCount: contentFiles.length 
+        });
+
+        return {
+            contentFiles,
+            styleFile,
+            auxiliaryFiles,
+            hasStyleFile: availableFiles.includes(styleFile)
+        };
+    }
+
+    /**
+     * 验证ZIP文件完整性
+     * @param {object} zip - JSZip对象
+     * @returns {boolean} 是否有效
+     */
+    function validateZipFile(zip) {
+        const logger = getLogger();
+        
+        try {
+            // 检查基本结构
+            if (!zip || !zip.files) {
+                logger.error('Invalid ZIP structure: missing files property');
+                return false;
+            }
+
+            const fileCount = Object.keys(zip.files).length;
+            if (fileCount === 0) {
+                logger.error('Invalid ZIP structure: no files found');
+                return false;
+            }
+
+            logger.debug('ZIP file validation passed', { fileCount });
+            return true;
+        } catch (error) {
+            logger.error('ZIP validation failed', error);
+            return false;
+        }
+    }
+
+    /**
+     * 创建解压限制错误
+     * @param {string} message - 错误消息
+     * @param {object} details - 限制和实际值
+     * @returns {Error} 带decompressionLimit标记的错误
+     */
+    function createLimitError(message, details) {
+        return Object.assign(new Error(message), { decompressionLimit: true, details });
+    }
+
+    /**
+     * 创建可识别的文档格式错误
+     * @param {string} message - 错误消息
+     * @param {string} errorCodeName - ERROR_CODES中的错误代码名称
+     * @returns {Error} 带errorCodeName的错误，由parseDocument映射为对应的错误代码
+     */
+    function createDocumentError(message, errorCodeName) {
+        return Object.assign(new Error(message), { errorCodeName });
+    }
+
+    /**
+     * 根据文件开头的签名判断实际格式
+     * 扩展名可能与内容不符：加密的.docx是复合文件，.doc也可能是另存的RTF或.docx
+     * @param {Blob} file - 文件对象
+     * @returns {Promise<string|null>} 'zip'、'cfb'或'rtf'，无法识别时返回null
+     */
+    async function sniffFileFormat(file) {
+        const header = new Uint8Array(await file.slice(0, 8).arrayBuffer());
+        const startsWith = signature => signature.length <= header.length &&
+            signature.every((byte, index) => header[index] === byte);
+
+        if (getConfig('SUPPORTED_FORMATS.ZIP_SIGNATURES', [[0x50, 0x4B, 0x03, 0x04], [0x50, 0x4B, 0x05, 0x06]]).some(startsWith)) {
+            return 'zip';
+        }
+        if (startsWith(getConfig('WORD_BINARY.CFB_SIGNATURE', [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]))) {
+            return 'cfb';
+        }
+        if (startsWith(Array.from(getConfig('RTF.SIGNATURE', '{\\rtf'), character => character.charCodeAt(0)))) {
+            return 'rtf';
+        }
+
+        return null;
+    }
+
+    /**
+     * 读取中央目录中各条目声明的压缩前后大小
+     * ZIP64条目的大小从扩展字段（0x0001）读取；找不到中央目录时返回空映射，解压时仍按实际字节数检查
+     * @param {Uint8Array} bytes - 压缩包内容
+     * @returns {Map} 条目名称到{compressedSize, uncompressedSize}的映射
+     */
+    function readCentralDirectorySizes(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const END_OF_CENTRAL_DIRECTORY = 0x06054B50;
+        const CENTRAL_DIRECTORY_HEADER = 0x02014B50;
+        const ZIP64_EXTRA_FIELD = 0x0001;
+        const sizes = new Map();
+
+        // 目录结束记录之后最多有65535字节的注释
+        let end = -1;
+        for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 0xFFFF); offset--) {
+            if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+                end = offset;
+                break;
+            }
+        }
+        if (end === -1) {
+            return sizes;
+        }
+
+        const entryCount = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        for (let i = 0; i < entryCount && offset + 46 <= bytes.length; i++) {
+            if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+                break;
+            }
+
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const extraEnd = Math.min(offset + 46 + nameLength + extraLength, bytes.length);
+            let compressedSize = view.getUint32(offset + 20, true);
+            let uncompressedSize = view.getUint32(offset + 24, true);
+
+            // ZIP64扩展字段依次保存被置为0xFFFFFFFF的解压后大小和压缩后大小
+            for (let extra = offset + 46 + nameLength; extra + 4 <= extraEnd;) {
+                const id = view.getUint16(extra, true);
+                const size = view.getUint16(extra + 2, true);
+                if (id === ZIP64_EXTRA_FIELD) {
+                    let field = extra + 4;
+                    const readUint64 = () => {
+                        const value = field + 8 <= extraEnd
+                            ? view.getUint32(field, true) + view.getUint32(field + 4, true) * 0x100000000
+                            : Infinity;
+                        field += 8;
+                        return value;
+                    };
+                    if (uncompressedSize === 0xFFFFFFFF) {
+                        uncompressedSize = readUint64();
+                    }
+                    if (compressedSize === 0xFFFFFFFF) {
+                        compressedSize = readUint64();
+                    }
+                    break;
+                }
+                extra += 4 + size;
+            }
+
+            const name = new TextDecoder('utf-8').decode(bytes.subarray(offset + 46, Math.min(offset + 46 + nameLength, bytes.length)));
+            sizes.set(name, { compressedSize, uncompressedSize });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return sizes;
+    }
+
+    /**
+     * 获取条目在中央目录中声明的压缩前后大小
+     * @param {object} zip - JSZip对象
+     * @param {object} entry - JSZip条目
+     * @returns {object|null} {compressedSize, uncompressedSize}，中央目录中没有该条目时返回null
+     */
+    function getDeclaredSizes(zip, entry) {
+        const sizes = declaredSizes.get(zip);
+        return (sizes && sizes.get(entry.name)) || null;
+    }
+
+    /**
+     * 检查条目大小和压缩比是否超出限制
+     * @param {string} name - 条目名称
+     * @param {number} size - 解压后大小
+     * @param {number} compressedSize - 压缩后大小（未知时为null）
+     */
+    function checkEntrySize(name, size, compressedSize) {
+        const maxPartSize = getConfig('ARCHIVE_LIMITS.MAX_PART_SIZE', 100 * 1024 * 1024);
+        const maxRatio = getConfig('ARCHIVE_LIMITS.MAX_COMPRESSION_RATIO', 100);
+        const ratioThreshold = getConfig('ARCHIVE_LIMITS.RATIO_THRESHOLD', 1024 * 1024);
+
+        if (size > maxPartSize) {
+            throw createLimitError(`Part ${name} exceeds the uncompressed size limit`, { name, size, limit: maxPartSize });
+        }
+
+        if (compressedSize !== null && size > ratioThreshold && size > Math.max(compressedSize, 1) * maxRatio) {
+            throw createLimitError(`Part ${name} exceeds the compression ratio limit`, {
+                name,
+                size,
+                compressedSize,
+                limit: maxRatio
+            });
+        }
+    }
+
+    /**
+     * 检查压缩包的条目数以及各条目声明的大小和压缩比
+     * 声明的大小可能被伪造，解压时由readZipEntry按实际字节数再次检查
+     * @param {object} zip - JSZip对象
+     */
+    function checkArchiveLimits(zip) {
+        const entries = Object.values(zip.files).filter(entry => !entry.dir);
+        checkEntryCount(entries.length);
+
+        entries.forEach(entry => {
+            const sizes = getDeclaredSizes(zip, entry);
+            if (sizes) {
+                checkEntrySize(entry.name, sizes.uncompressedSize, sizes.compressedSize);
+            }
+        });
+    }
+
+    /**
+     * 检查压缩包或内存包的条目数是否超出限制
+     * @param {number} entryCount - 条目数
+     */
+    function checkEntryCount(entryCount) {
+        const maxEntryCount = getConfig('ARCHIVE_LIMITS.MAX_ENTRY_COUNT', 10000);
+
+        if (entryCount > maxEntryCount) {
+            throw createLimitError('Archive exceeds the entry count limit', {
+                entryCount,
+                limit: maxEntryCount
+            });
+        }
+    }
+
+    /**
+     * 计入解压的字节数，超出部件大小、压缩比或文档解压总量限制时抛出
+     * @param {object} budget - 解压计数对象
+     * @param {string} name - 条目名称
+     * @param {number} chunkLength - 本次解压的字节数
+     * @param {number} size - 条目已解压的字节数
+     * @param {number} compressedSize - 压缩后大小（未知时为null）
+     */
+    function countInflatedBytes(budget, name, chunkLength, size, compressedSize) {
+        const maxTotalSize = getConfig('ARCHIVE_LIMITS.MAX_TOTAL_SIZE', 500 * 1024 * 1024);
+
+        budget.inflatedBytes += chunkLength;
+        checkEntrySize(name, size, compressedSize);
+        if (budget.inflatedBytes > maxTotalSize) {
+            throw createLimitError('Document exceeds the total uncompressed size limit', {
+                name,
+                inflatedBytes: budget.inflatedBytes,
+                limit: maxTotalSize
+            });
+        }
+    }
+
+    /**
+     * 拼接解压的数据块
+     * @param {array} chunks - Uint8Array数组
+     * @param {number} size - 总字节数
+     * @returns {Uint8Array} 拼接后的数据
+     */
+    function concatChunks(chunks, size) {
+        const bytes = new Uint8Array(size);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return bytes;
+    }
+
+    /**
+     * 加载ZIP压缩包并检查解压限制
+     * @param {Blob|Uint8Array} data - 压缩包数据
+     * @param {object} budget - 解压计数对象（嵌入文档传入所在文档的计数，使限制按整个文档计算）
+     * @returns {Promise<object>} JSZip对象
+     */
+    async function loadArchive(data, budget = { inflatedBytes: 0 }) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(await data.arrayBuffer());
+        const zip = await JSZip.loadAsync(bytes);
+        declaredSizes.set(zip, readCentralDirectorySizes(bytes));
+        checkArchiveLimits(zip);
+        archiveBudgets.set(zip, budget);
+        return zip;
+    }
+
+    /**
+     * 解压条目内容，解压过程中按实际字节数检查部件大小、压缩比和文档的解压总量
+     * 内存包（单文件XML格式和恢复的压缩包）的条目在创建时已检查并计入解压总量，直接读取
+     * @param {object} zip - JSZip对象
+     * @param {object} entry - 条目（zip.file(name)的返回值）
+     * @param {string} type - 'string'或'uint8array'
+     * @returns {Promise<string|Uint8Array>} 条目内容
+     */
+    function readZipEntry(zip, entry, type) {
+        if (typeof entry.internalStream !== 'function') {
+            return entry.async(type);
+        }
+
+        const budget = archiveBudgets.get(zip) || { inflatedBytes: 0 };
+        const sizes = getDeclaredSizes(zip, entry);
+
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            let failed = false;
+
+            const stream = entry.internalStream('uint8array');
+            stream
+                .on('data', chunk => {
+                    if (failed) {
+                        return;
+                    }
+
+                    size += chunk.length;
+                    try {
+                        countInflatedBytes(budget, entry.name, chunk.length, size, sizes ? sizes.compressedSize : null);
+                    } catch (error) {
+                        // 停止解压，已解压的数据不再保留
+                        failed = true;
+                        stream.pause();
+                        reject(error);
+                        return;
+                    }
+
+                    chunks.push(chunk);
+                })
+                .on('error', error => {
+                    failed = true;
+                    reject(error);
+                })
+                .on('end', () => {
+                    if (failed) {
+                        return;
+                    }
+
+                    const bytes = concatChunks(chunks, size);
+                    resolve(type === 'string' ? new TextDecoder('utf-8').decode(bytes) : bytes);
+                })
+                .resume();
+        });
+    }
+
+    /**
+     * 将公共压缩包接口中的错误转换为标准错误对象
+     * @param {Error} error - 原始错误
+     * @returns {object} 标准化错误对象
+     */
+    function handleArchiveError(error) {
+        if (error.decompressionLimit) {
+            return getErrorHandler().handleError(
+                getConfig('ERROR_CODES.DECOMPRESSION_LIMIT_EXCEEDED', 1005),
+                'Archive exceeds decompression limits',
+                error,
+                { limit: error.details }
+            );
+        }
+
+        return getErrorHandler().handleError(
+            getConfig('ERROR_CODES.CORRUPTED_ZIP', 1004),
+            'Archive file is corrupted or invalid',
+            error
+        );
+    }
+
+    /**
+     * 扫描本地文件头，重建中央目录损坏的压缩包的条目列表
+     * 声明了大小的条目按声明大小截取（超出文件末尾时截断）；
+     * 大小写在数据描述符中（标志位3）或使用ZIP64的条目截取到下一个签名
+     * @param {Uint8Array} bytes - 文件内容
+     * @returns {array} 条目数组（{name, method, encrypted, compressedSize, data, truncated}）
+     */
+    function scanLocalFileHeaders(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const LOCAL_FILE_HEADER = 0x04034B50;
+        const CENTRAL_DIRECTORY_HEADER = 0x02014B50;
+        const DATA_DESCRIPTOR = 0x08074B50;
+        const entries = [];
+
+        const findSignature = from => {
+            for (let offset = from; offset + 4 <= bytes.length; offset++) {
+                if (bytes[offset] !== 0x50 || bytes[offset + 1] !== 0x4B) {
+                    continue;
+                }
+                const signature = view.getUint32(offset, true);
+                if (signature === LOCAL_FILE_HEADER || signature === CENTRAL_DIRECTORY_HEADER || signature === DATA_DESCRIPTOR) {
+                    return offset;
+                }
+            }
+            return -1;
+        };
+
+        let offset = findSignature(0);
+        while (offset !== -1 && offset + 30 <= bytes.length) {
+            if (view.getUint32(offset, true) !== LOCAL_FILE_HEADER) {
+                offset = findSignature(offset + 4);
+                continue;
+            }
+
+            const flags = view.getUint16(offset + 6, true);
+            const declaredSize = view.getUint32(offset + 18, true);
+            const nameLength = view.getUint16(offset + 26, true);
+            const dataStart = offset + 30 + nameLength + view.getUint16(offset + 28, true);
+            if (dataStart > bytes.length) {
+                break;
+            }
 
-        // 检查OpenDocument (.odt)
-        const odtIndicator = getConfig('FILE_PATHS.OPEN_DOCUMENT.INDICATOR_FILE', 'content.xml');
-        if (filesInZip.includes(odtIndicator)) {
-            logger.info('Document type detected: OpenDocument (.odt)');
-            return getConfig('DOCUMENT_TYPES.OPEN_DOCUMENT', 'OpenDocument');
+            const sizeKnown = !(flags & 0x08) && declaredSize !== 0xFFFFFFFF;
+            let dataEnd = sizeKnown ? dataStart + declaredSize : findSignature(dataStart);
+            if (dataEnd === -1 || dataEnd > bytes.length) {
+                dataEnd = bytes.length;
+            }
+
+            entries.push({
+                name: new TextDecoder('utf-8').decode(bytes.subarray(offset + 30, offset + 30 + nameLength)),
+                method: view.getUint16(offset + 8, true),
+                encrypted: (flags & 0x01) !== 0,
+                compressedSize: dataEnd - dataStart,
+                data: bytes.subarray(dataStart, dataEnd),
+                truncated: sizeKnown && dataStart + declaredSize > bytes.length
+            });
+
+            offset = findSignature(dataEnd);
         }
 
-        logger.warn('Unknown document type', { availableFiles: filesInZip });
-        return null;
+        return entries;
     }
 
     /**
-     * 获取需要提取的文件列表
-     * @param {string} documentType - 文档类型
-     * @param {array} availableFiles - ZIP中可用的文件列表
-     * @returns {object} 包含内容文件和样式文件的对象
+     * 解压恢复的条目，压缩数据被截断或损坏时保留已解压的部分
+     * @param {object} entry - scanLocalFileHeaders返回的条目
+     * @param {object} budget - 解压计数对象
+     * @returns {Promise<object>} {data, complete}
      */
-    function getFilesToExtract(documentType, availableFiles) {
-        const logger = getLogger();
-        logger.debug('Determining files to extract', { documentType });
+    async function inflateRecoveredEntry(entry, budget) {
+        const chunks = [];
+        let size = 0;
+        let complete = !entry.truncated;
 
-        let contentFiles = [];
-        let styleFile = '';
+        const accept = chunk => {
+            size += chunk.length;
+            countInflatedBytes(budget, entry.name, chunk.length, size, entry.compressedSize);
+            chunks.push(chunk);
+        };
 
-        if (documentType === getConfig('DOCUMENT_TYPES.OFFICE_OPEN_XML')) {
-            const possibleContentFiles = getConfig('FILE_PATHS.OFFICE_OPEN_XML.CONTENT_FILES', [
-                'word/document.xml', 'word/footnotes.xml', 'word/endnotes.xml'
-            ]);
-            styleFile = getConfig('FILE_PATHS.OFFICE_OPEN_XML.STYLE_FILE', 'docProps/custom.xml');
-            
-            // 只包含实际存在的文件
-            contentFiles = availableFiles.filter(file => possibleContentFiles.includes(file));
-        } else if (documentType === getConfig('DOCUMENT_TYPES.OPEN_DOCUMENT')) {
-            const possibleContentFiles = getConfig('FILE_PATHS.OPEN_DOCUMENT.CONTENT_FILES', ['content.xml']);
-            styleFile = getConfig('FILE_PATHS.OPEN_DOCUMENT.STYLE_FILE', 'meta.xml');
-            
-            contentFiles = availableFiles.filter(file => possibleContentFiles.includes(file));
+        if (entry.method === 0) {
+            accept(entry.data);
+        } else if (entry.method === 8) {
+            const decompression = new DecompressionStream('deflate-raw');
+            const writer = decompression.writable.getWriter();
+            writer.write(entry.data).then(() => writer.close()).catch(() => {});
+
+            const reader = decompression.readable.getReader();
+            try {
+                for (;;) {
+                    const { done, value } = await reader.read();
+                    if (done) {
+                        break;
+                    }
+                    accept(value);
+                }
+            } catch (error) {
+                if (error.decompressionLimit) {
+                    reader.cancel().catch(() => {});
+                    throw error;
+                }
+                complete = false;
+            }
+        } else {
+            throw new Error(`Unsupported compression method: ${entry.method}`);
         }
 
-        logger.debug('Files to extract determined', { 
-            contentFiles, 
-            styleFile, 
-            availableCount: contentFiles.length 
-        });
+        return { data: concatChunks(chunks, size), complete };
+    }
 
-        return {
-            contentFiles,
-            styleFile,
-            hasStyleFile: availableFiles.includes(styleFile)
-        };
+    /**
+     * 截断的XML在最后一个完整的标记处截断，并补全未闭合元素的结束标记
+     * 被截断的字段和段落随之丢弃，其余内容可以正常解析
+     * @param {string} xml - 截断的XML
+     * @returns {string} 格式正确的XML
+     */
+    function closeTruncatedXml(xml) {
+        const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([^\s\/>!?]+)(?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*\s*(\/?)>/g;
+        const openElements = [];
+        let end = 0;
+        let match;
+
+        while ((match = tokenPattern.exec(xml)) !== null) {
+            end = tokenPattern.lastIndex;
+            const [, closing, name, selfClosing] = match;
+            if (!name || selfClosing) {
+                continue;
+            }
+
+            if (closing) {
+                const index = openElements.lastIndexOf(name);
+                if (index !== -1) {
+                    openElements.length = index;
+                }
+            } else {
+                openElements.push(name);
+            }
+        }
+
+        return xml.substring(0, end) + openElements.reverse().map(name => `</${name}>`).join('');
     }
 
     /**
-     * 验证ZIP文件完整性
-     * @param {object} zip - JSZip对象
-     * @returns {boolean} 是否有效
+     * 按本地文件头恢复损坏的文档压缩包（注册为文件错误的恢复策略）
+     * 只恢复XML部件，数据不完整的部件在最后一个完整的标记处截断；解压限制与正常读取相同
+     * @param {Blob} file - 文档文件
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<object|null>} {zip, recovery}，没有恢复出文档主体时返回null
      */
-    function validateZipFile(zip) {
+    async function recoverArchive(file, signal) {
         const logger = getLogger();
-        
-        try {
-            // 检查基本结构
-            if (!zip || !zip.files) {
-                logger.error('Invalid ZIP structure: missing files property');
-                return false;
+        const entries = scanLocalFileHeaders(new Uint8Array(await file.arrayBuffer()));
+        const partPattern = getConfig('ARCHIVE_RECOVERY.PART_PATTERN', /\.(xml|rels)$/i);
+
+        logger.info('Scanned local file headers of damaged archive', { entryCount: entries.length });
+        checkEntryCount(entries.length);
+
+        const budget = { inflatedBytes: 0 };
+        const parts = {};
+        const damagedParts = [];
+
+        for (const entry of entries) {
+            throwIfAborted(signal);
+            if (entry.encrypted || !partPattern.test(entry.name)) {
+                continue;
             }
 
-            const fileCount = Object.keys(zip.files).length;
-            if (fileCount === 0) {
-                logger.error('Invalid ZIP structure: no files found');
-                return false;
+            try {
+                const { data, complete } = await inflateRecoveredEntry(entry, budget);
+                const content = new TextDecoder('utf-8').decode(data);
+                const xml = complete ? content : closeTruncatedXml(content);
+                if (xml.trim().length === 0) {
+                    continue;
+                }
+
+                parts[entry.name] = xml;
+                if (!complete) {
+                    damagedParts.push(entry.name);
+                }
+            } catch (error) {
+                if (error.decompressionLimit) {
+                    throw error;
+                }
+                logger.warn(`Could not recover archive entry ${entry.name}`, { error: error.message });
             }
+        }
 
-            logger.debug('ZIP file validation passed', { fileCount });
-            return true;
-        } catch (error) {
-            logger.error('ZIP validation failed', error);
-            return false;
+        const zip = createFlatPackage(parts);
+        if (!detectDocumentType(zip)) {
+            return null;
         }
+        // 嵌入文档与恢复的文档共用解压计数
+        archiveBudgets.set(zip, budget);
+
+        return {
+            zip,
+            recovery: {
+                strategy: getConfig('ARCHIVE_RECOVERY.STRATEGY_NAME', 'local-file-headers'),
+                recoveredParts: Object.keys(parts),
+                damagedParts
+            }
+        };
     }
 
     /**
@@ -177,7 +1483,7 @@ window.RefExtractorDocumentParser = (function() {
                 throw new Error(`File not found in ZIP: ${fileName}`);
             }
 
-            const content = await file.async('string');
+            const content = await readZipEntry(zip, file, 'string');
             
             if (!content || content.trim().length === 0) {
                 throw new Error(`Empty content in file: ${fileName}`);
@@ -189,6 +1495,11 @@ window.RefExtractorDocumentParser = (function() {
 
             return content;
         } catch (error) {
+            // 超出解压限制的文档不再继续处理
+            if (error.decompressionLimit) {
+                throw error;
+            }
+
             const handledError = errorHandler.handleError(
                 getConfig('ERROR_CODES.XML_PARSE_ERROR', 2001),
                 `Failed to extract XML content from ${fileName}`,
@@ -226,14 +1537,335 @@ window.RefExtractorDocumentParser = (function() {
         }
     }
 
+    /**
+     * 检测文档包类型并提取内容文件、样式文件和辅助文件
+     * @param {object} zip - JSZip对象
+     * @param {function} onProgress - 进度回调（参数为进度百分比）
+     * @returns {Promise<object>} 包内容（documentType、availableFiles、filesToExtract、contentFiles、styleContent、auxiliaryFiles）
+     */
+    async function readPackageContents(zip, onProgress = () => {}) {
+        const logger = getLogger();
+
+        // Step 3: 检测文档类型
+        logger.debug('Detecting document type');
+        onProgress(30);
+
+        const documentType = detectDocumentType(zip);
+        if (!documentType) {
+            throw createDocumentError('Archive is not a Word or LibreOffice document', 'NOT_A_DOCUMENT_ARCHIVE');
+        }
+
+        // Step 4: 确定要提取的文件
+        logger.debug('Determining files to extract');
+        onProgress(40);
+
+        const availableFiles = Object.keys(zip.files);
+        const storyParts = documentType === getConfig('DOCUMENT_TYPES.OFFICE_OPEN_XML')
+            ? await discoverStoryParts(zip, availableFiles)
+            : [];
+        const filesToExtract = getFilesToExtract(documentType, availableFiles, storyParts);
+
+        if (filesToExtract.contentFiles.length === 0) {
+            throw new Error('No extractable content files found');
+        }
+
+        // Step 5: 提取内容文件
+        logger.debug('Extracting content files');
+        onProgress(60);
+
+        const contentFiles = await extractMultipleFiles(zip, filesToExtract.contentFiles);
+
+        // Step 6: 提取样式文件（如果存在）
+        logger.debug('Extracting style file');
+        onProgress(80);
+
+        let styleContent = null;
+        if (filesToExtract.hasStyleFile) {
+            try {
+                styleContent = await extractXmlContent(zip, filesToExtract.styleFile);
+            } catch (error) {
+                if (error.decompressionLimit) {
+                    throw error;
+                }
+                logger.warn('Failed to extract style file, continuing without it', {
+                    styleFile: filesToExtract.styleFile,
+                    error: error.message
+                });
+            }
+        }
+
+        // Step 7: 提取辅助文件（失败时跳过）
+        const auxiliaryFiles = {};
+        for (const auxiliaryFile of filesToExtract.auxiliaryFiles) {
+            try {
+                auxiliaryFiles[auxiliaryFile] = await extractXmlContent(zip, auxiliaryFile);
+            } catch (error) {
+                if (error.decompressionLimit) {
+                    throw error;
+                }
+                logger.warn('Failed to extract auxiliary file, skipping it', {
+                    auxiliaryFile,
+                    error: error.message
+                });
+            }
+        }
+
+        return { documentType, availableFiles, filesToExtract, contentFiles, styleContent, auxiliaryFiles };
+    }
+
+    /**
+     * 查找文档包中嵌入的OOXML/ODF文档包
+     * 包括word/embeddings/中的嵌入文档，以及以包内部件形式保存的主控文档子文档
+     * @param {object} zip - JSZip对象
+     * @param {array} availableFiles - ZIP中可用的文件列表
+     * @returns {Promise<array>} 嵌入文档包路径数组
+     */
+    async function discoverEmbeddedPackages(zip, availableFiles) {
+        const packagePattern = getConfig('EMBEDDED_PACKAGES.FILE_PATTERN', /\.(docx|docm|dotx|dotm|odt)$/i);
+        const packages = new Set(availableFiles.filter(file => packagePattern.test(file)));
+
+        const relsFile = getConfig('FILE_PATHS.OFFICE_OPEN_XML.DOCUMENT_RELS_FILE', 'word/_rels/document.xml.rels');
+        const relsDoc = await readPackageXml(zip, relsFile).catch(() => null);
+        if (relsDoc) {
+            const baseDirectory = relsFile.replace(/_rels\/[^/]+$/, '');
+            const subdocumentSuffix = getConfig('EMBEDDED_PACKAGES.SUBDOCUMENT_RELATIONSHIP_SUFFIX', '/subDocument');
+            Array.from(relsDoc.getElementsByTagNameNS('*', 'Relationship')).forEach(relationship => {
+                const target = relationship.getAttribute('Target') || '';
+                if (target && relationship.getAttribute('TargetMode') !== 'External' &&
+                    (relationship.getAttribute('Type') || '').endsWith(subdocumentSuffix)) {
+                    const part = resolvePartPath(baseDirectory, target);
+                    if (availableFiles.includes(part)) {
+                        packages.add(part);
+                    }
+                }
+            });
+        }
+
+        return Array.from(packages).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    }
+
+    /**
+     * 查找链接到外部文件的主控文档子文档（浏览器无法读取这些文件，只记录其路径）
+     * @param {object} zip - JSZip对象
+     * @returns {Promise<array>} 子文档目标路径数组
+     */
+    async function findLinkedSubdocuments(zip) {
+        const relsDoc = await readPackageXml(zip,
+            getConfig('FILE_PATHS.OFFICE_OPEN_XML.DOCUMENT_RELS_FILE', 'word/_rels/document.xml.rels')).catch(() => null);
+        if (!relsDoc) {
+            return [];
+        }
+
+        const subdocumentSuffix = getConfig('EMBEDDED_PACKAGES.SUBDOCUMENT_RELATIONSHIP_SUFFIX', '/subDocument');
+        const subdocuments = Array.from(relsDoc.getElementsByTagNameNS('*', 'Relationship'))
+            .filter(relationship => relationship.getAttribute('TargetMode') === 'External' &&
+                (relationship.getAttribute('Type') || '').endsWith(subdocumentSuffix))
+            .map(relationship => relationship.getAttribute('Target') || '')
+            .filter(target => target.length > 0);
+
+        if (subdocuments.length > 0) {
+            getLogger().warn('Document links to external subdocuments that cannot be read', { subdocuments });
+        }
+        return subdocuments;
+    }
+
+    /**
+     * 检查条目内容是否以ZIP签名开头，只解压第一个数据块
+     * @param {object} entry - 条目（zip.file(name)的返回值）
+     * @returns {Promise<boolean>} 是否为ZIP压缩包
+     */
+    function hasZipSignature(entry) {
+        const zipSignatures = getConfig('SUPPORTED_FORMATS.ZIP_SIGNATURES', [[0x50, 0x4B, 0x03, 0x04], [0x50, 0x4B, 0x05, 0x06]]);
+        const matches = bytes => zipSignatures.some(signature => signature.every((byte, index) => bytes[index] === byte));
+
+        if (typeof entry.internalStream !== 'function') {
+            return entry.async('uint8array').then(matches);
+        }
+
+        return new Promise((resolve, reject) => {
+            const stream = entry.internalStream('uint8array');
+            stream
+                .on('data', chunk => {
+                    stream.pause();
+                    resolve(matches(chunk));
+                })
+                .on('error', reject)
+                .on('end', () => resolve(false))
+                .resume();
+        });
+    }
+
+    /**
+     * 加载文档压缩包，有ZIP签名但无法按中央目录加载（例如文件被截断）时，尝试按本地文件头恢复
+     * @param {File} file - 文档文件
+     * @param {string|null} format - 文件签名识别的格式
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<object>} {zip, recovery}，未经恢复时recovery为null
+     */
+    async function loadDocumentArchive(file, format, signal) {
+        const errorHandler = getErrorHandler();
+
+        try {
+            return { zip: await loadArchive(file), recovery: null };
+        } catch (error) {
+            if (format !== 'zip' || error.decompressionLimit || typeof errorHandler.recoverFileError !== 'function') {
+                throw error;
+            }
+
+            const recovered = await errorHandler.recoverFileError(handleArchiveError(error), { file, signal });
+            if (!recovered) {
+                throw error;
+            }
+
+            getLogger().warn('Document archive is damaged, extraction results may be incomplete', recovered.result.recovery);
+            return recovered.result;
+        }
+    }
+
+    /**
+     * 解压压缩包中解析时会读取的条目：XML部件和嵌入文档，嵌入文档按嵌入层级递归解压
+     * 其他条目（例如图片）只保留名称，内容为null；条目按readZipEntry读取，解压限制与直接解析相同
+     * @param {object} zip - JSZip对象或内存包
+     * @param {number} depth - 嵌入层级（主文档为0）
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<object>} 压缩包快照（{entries, packages}，entries为条目路径到内容的映射）
+     */
+    async function snapshotArchive(zip, depth, signal) {
+        const maxDepth = getConfig('EMBEDDED_PACKAGES.MAX_DEPTH', 2);
+        const partPattern = getConfig('WORKER.PART_PATTERN', /\.(xml|rels)$/i);
+        const entries = {};
+        const packages = {};
+
+        for (const name of Object.keys(zip.files)) {
+            if (zip.files[name].dir) {
+                continue;
+            }
+            throwIfAborted(signal);
+
+            const entry = zip.file(name);
+            // 主控文档子文档可以是任意名称的部件，按内容识别嵌入文档
+            const isPackage = depth < maxDepth && !partPattern.test(name) && await hasZipSignature(entry);
+            if (!isPackage && !partPattern.test(name)) {
+                entries[name] = null;
+                continue;
+            }
+
+            const data = await readZipEntry(zip, entry, 'uint8array');
+            entries[name] = data;
+
+            if (isPackage) {
+                try {
+                    packages[name] = await snapshotArchive(await loadArchive(data, archiveBudgets.get(zip)), depth + 1, signal);
+                } catch (error) {
+                    if (isAbortError(error) || error.decompressionLimit) {
+                        throw error;
+                    }
+                    // 无法打开的嵌入压缩包在解析时跳过
+                }
+            }
+        }
+
+        return { entries, packages };
+    }
+
+    /**
+     * 打开压缩包快照，返回与JSZip接口兼容的内存包
+     * @param {object} snapshot - snapshotArchive返回的快照
+     * @returns {object} 内存包
+     */
+    function openArchiveSnapshot(snapshot) {
+        const zip = createFlatPackage(snapshot.entries);
+        preloadedPackages.set(zip, snapshot.packages || {});
+        return zip;
+    }
+
+    /**
+     * 递归解析嵌入的文档包，深度不超过配置的最大值
+     * 嵌入文档的部件名称以“包路径!/部件路径”表示，多层嵌入时包路径依次连接
+     * @param {object} zip - JSZip对象
+     * @param {array} availableFiles - ZIP中可用的文件列表
+     * @param {string} packageName - 当前文档包名称（主文档为空字符串）
+     * @param {number} depth - 嵌入层级（从1开始）
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<array>} 嵌入文档数组（{name, type, depth, contentFiles, extractedFiles, styleContent, auxiliaryFiles}）
+     */
+    async function parseEmbeddedPackages(zip, availableFiles, packageName, depth, signal) {
+        const logger = getLogger();
+        const maxDepth = getConfig('EMBEDDED_PACKAGES.MAX_DEPTH', 2);
+        const separator = getConfig('EMBEDDED_PACKAGES.NAME_SEPARATOR', '!/');
+
+        if (depth > maxDepth) {
+            return [];
+        }
+
+        const embeddedDocuments = [];
+        const packagePaths = await discoverEmbeddedPackages(zip, availableFiles);
+
+        for (const packagePath of packagePaths) {
+            const name = packageName ? `${packageName}${separator}${packagePath}` : packagePath;
+            throwIfAborted(signal);
+
+            try {
+                const preloaded = preloadedPackages.get(zip);
+                const embeddedZip = preloaded && preloaded[packagePath]
+                    ? openArchiveSnapshot(preloaded[packagePath])
+                    : await loadArchive(
+                        await readZipEntry(zip, zip.file(packagePath), 'uint8array'),
+                        archiveBudgets.get(zip)
+                    );
+                if (!validateZipFile(embeddedZip)) {
+                    throw new Error('Invalid or corrupted ZIP file');
+                }
+
+                const contents = await readPackageContents(embeddedZip, () => throwIfAborted(signal));
+                embeddedDocuments.push({
+                    name,
+                    type: contents.documentType,
+                    depth,
+                    contentFiles: contents.contentFiles,
+                    extractedFiles: contents.filesToExtract.contentFiles.map(part => `${name}${separator}${part}`),
+                    styleContent: contents.styleContent,
+                    auxiliaryFiles: contents.auxiliaryFiles
+                });
+                logger.info(`Embedded document parsed: ${name}`, {
+                    documentType: contents.documentType,
+                    contentFilesCount: contents.contentFiles.length
+                });
+
+                embeddedDocuments.push(...await parseEmbeddedPackages(embeddedZip, contents.availableFiles, name, depth + 1, signal));
+            } catch (error) {
+                if (isAbortError(error) || error.decompressionLimit) {
+                    throw error;
+                }
+                logger.warn(`Failed to parse embedded document ${name}, skipping it`, { error: error.message });
+            }
+        }
+
+        return embeddedDocuments;
+    }
+
     /**
      * 解析文档对象
+     * 每个步骤开始时更新解析进度并通知options.onProgress，同时检查取消信号
      * @param {File} file - 文件对象
+     * @param {object} options - 解析选项
+     * @param {function} options.onProgress - 进度回调（参数为进度百分比）
+     * @param {AbortSignal} options.signal - 取消信号
+     * @param {function} options.readArchive - 返回压缩包快照的函数（压缩包已在Worker中解压时传入）
      * @returns {Promise<object>} 解析结果
      */
-    async function parseDocument(file) {
+    async function parseDocument(file, options = {}) {
         const logger = getLogger();
         const errorHandler = getErrorHandler();
+        const { onProgress, signal } = options;
+
+        const setProgress = progress => {
+            throwIfAborted(signal);
+            parsingState.progress = progress;
+            if (typeof onProgress === 'function') {
+                onProgress(progress);
+            }
+        };
 
         // 更新解析状态
         parsingState.isProcessing = true;
@@ -248,64 +1880,77 @@ window.RefExtractorDocumentParser = (function() {
         });
 
         try {
-            // Step 1: 加载ZIP文件
+            // 优先按文件签名选择解析方式，无法识别时再按扩展名
+            const extension = getFileExtension(file.name);
+            const format = await sniffFileFormat(file);
+            logger.debug('File signature detected', { format });
+
+            // 旧版Word二进制文档和RTF文档没有ZIP包结构，直接读取文档文本
+            const isWordBinary = format === 'cfb' ||
+                (!format && getConfig('SUPPORTED_FORMATS.WORD_BINARY_EXTENSIONS', ['.doc']).includes(extension));
+            const isRtf = format === 'rtf' ||
+                (!format && getConfig('SUPPORTED_FORMATS.RTF_EXTENSIONS', ['.rtf']).includes(extension));
+            const parseStoryDocument = isWordBinary ? parseWordBinaryDocument : isRtf ? parseRtfDocument : null;
+
+            if (parseStoryDocument) {
+                setProgress(0);
+                const documentObj = await parseStoryDocument(file, setProgress);
+
+                currentDocument = documentObj;
+                setProgress(100);
+
+                logger.endTiming('document_parsing');
+                logger.info('Document parsing completed successfully', {
+                    documentType: documentObj.type,
+                    contentFilesCount: documentObj.contentFiles.length,
+                    hasStyleContent: false
+                });
+
+                return documentObj;
+            }
+
+            // Step 1: 加载ZIP文件（单文件XML格式加载为内存包）
             logger.debug('Loading ZIP file');
-            parsingState.progress = 10;
+            setProgress(10);
             
-            const zip = await JSZip.loadAsync(file);
+            const flatExtensions = getConfig('SUPPORTED_FORMATS.FLAT_EXTENSIONS', ['.xml', '.fodt']);
+            let zip;
+            let recovery = null;
+            if (format !== 'zip' && flatExtensions.includes(extension)) {
+                zip = await loadFlatPackage(file);
+            } else if (typeof options.readArchive === 'function') {
+                // 由调用方（例如Worker）解压，这里只打开解压后的内存包
+                const snapshot = await options.readArchive();
+                zip = openArchiveSnapshot(snapshot);
+                recovery = snapshot.recovery || null;
+            } else {
+                ({ zip, recovery } = await loadDocumentArchive(file, format, signal));
+            }
             
             // Step 2: 验证ZIP文件
             logger.debug('Validating ZIP file');
-            parsingState.progress = 20;
+            setProgress(20);
             
             if (!validateZipFile(zip)) {
                 throw new Error('Invalid or corrupted ZIP file');
             }
 
-            // Step 3: 检测文档类型
-            logger.debug('Detecting document type');
-            parsingState.progress = 30;
-            
-            const documentType = detectDocumentType(zip);
-            if (!documentType) {
-                throw new Error('Unsupported document type');
-            }
-
-            // Step 4: 确定要提取的文件
-            logger.debug('Determining files to extract');
-            parsingState.progress = 40;
-            
-            const availableFiles = Object.keys(zip.files);
-            const filesToExtract = getFilesToExtract(documentType, availableFiles);
-
-            if (filesToExtract.contentFiles.length === 0) {
-                throw new Error('No extractable content files found');
-            }
-
-            // Step 5: 提取内容文件
-            logger.debug('Extracting content files');
-            parsingState.progress = 60;
-            
-            const contentFiles = await extractMultipleFiles(zip, filesToExtract.contentFiles);
+            // Step 3-7: 检测文档类型并提取内容、样式和辅助文件
+            const {
+                documentType,
+                availableFiles,
+                filesToExtract,
+                contentFiles,
+                styleContent,
+                auxiliaryFiles
+            } = await readPackageContents(zip, setProgress);
 
-            // Step 6: 提取样式文件（如果存在）
-            logger.debug('Extracting style file');
-            parsingState.progress = 80;
-            
-            let styleContent = null;
-            if (filesToExtract.hasStyleFile) {
-                try {
-                    styleContent = await extractXmlContent(zip, filesToExtract.styleFile);
-                } catch (error) {
-                    logger.warn('Failed to extract style file, continuing without it', {
-                        styleFile: filesToExtract.styleFile,
-                        error: error.message
-                    });
-                }
-            }
+            // 递归提取嵌入的文档包（失败时跳过）
+            const embeddedDocuments = await parseEmbeddedPackages(zip, availableFiles, '', 1, signal);
+            const linkedSubdocuments = await findLinkedSubdocuments(zip);
 
-            // Step 7: 创建文档对象
-            parsingState.progress = 90;
+            // Step 8: 创建文档对象
+            setProgress(90);
             
             const documentObj = {
                 type: documentType,
@@ -313,24 +1958,31 @@ window.RefExtractorDocumentParser = (function() {
                 fileSize: file.size,
                 contentFiles: contentFiles,
                 styleContent: styleContent,
+                auxiliaryFiles: auxiliaryFiles,
                 extractedFiles: filesToExtract.contentFiles,
                 styleFile: filesToExtract.styleFile,
+                embeddedDocuments: embeddedDocuments,
+                linkedSubdocuments: linkedSubdocuments,
+                recovery: recovery,
                 parsedAt: new Date().toISOString(),
                 metadata: {
                     totalFiles: availableFiles.length,
                     extractedFiles: filesToExtract.contentFiles.length,
+                    auxiliaryFiles: Object.keys(auxiliaryFiles).length,
+                    embeddedDocuments: embeddedDocuments.length,
                     hasStyleFile: filesToExtract.hasStyleFile
                 }
             };
 
             // 保存当前文档
             currentDocument = documentObj;
-            parsingState.progress = 100;
+            setProgress(100);
 
             logger.endTiming('document_parsing');
             logger.info('Document parsing completed successfully', {
                 documentType,
                 contentFilesCount: contentFiles.length,
+                embeddedDocumentsCount: embeddedDocuments.length,
                 hasStyleContent: !!styleContent
             });
 
@@ -338,12 +1990,24 @@ window.RefExtractorDocumentParser = (function() {
 
         } catch (error) {
             logger.endTiming('document_parsing');
+
+            // 用户取消不是解析错误，直接向上传递
+            if (isAbortError(error)) {
+                logger.info('Document parsing cancelled', { fileName: file.name });
+                throw error;
+            }
             
             // 处理特定错误类型
             let errorCode = getConfig('ERROR_CODES.FILE_PARSE_ERROR', 1002);
             let errorMessage = 'Document parsing failed';
 
-            if (error.message.includes('corrupted') || error.message.includes('Invalid')) {
+            if (error.decompressionLimit) {
+                errorCode = getConfig('ERROR_CODES.DECOMPRESSION_LIMIT_EXCEEDED', 1005);
+                errorMessage = 'Document exceeds decompression limits';
+            } else if (error.errorCodeName) {
+                errorCode = getConfig(`ERROR_CODES.${error.errorCodeName}`, errorCode);
+                errorMessage = error.message;
+            } else if (error.message.includes('corrupted') || error.message.includes('Invalid')) {
                 errorCode = getConfig('ERROR_CODES.CORRUPTED_ZIP', 1004);
                 errorMessage = 'Document file is corrupted or invalid';
             } else if (error.message.includes('Unsupported')) {
@@ -359,7 +2023,8 @@ window.RefExtractorDocumentParser = (function() {
                     fileName: file.name,
                     fileSize: file.size,
                     fileType: file.type,
-                    progress: parsingState.progress
+                    progress: parsingState.progress,
+                    ...(error.details ? { limit: error.details } : {})
                 }
             );
 
@@ -377,9 +2042,13 @@ window.RefExtractorDocumentParser = (function() {
         /**
          * 解析文档文件
          * @param {File} file - 要解析的文件
+         * @param {object} options - 解析选项
+         * @param {function} options.onProgress - 进度回调（参数为进度百分比）
+         * @param {AbortSignal} options.signal - 取消信号，触发后以AbortError拒绝
+         * @param {function} options.readArchive - 返回压缩包快照的函数（见readArchive）
          * @returns {Promise<object>} 解析结果
          */
-        async parse(file) {
+        async parse(file, options = {}) {
             const logger = getLogger();
             const errorHandler = getErrorHandler();
 
@@ -403,7 +2072,7 @@ window.RefExtractorDocumentParser = (function() {
             }
 
             // 检查文件大小
-            const maxSize = 50 * 1024 * 1024; // 50MB限制
+            const maxSize = getConfig('ARCHIVE_LIMITS.MAX_FILE_SIZE', 50 * 1024 * 1024);
             if (file.size > maxSize) {
                 throw errorHandler.handleError(
                     getConfig('ERROR_CODES.FILE_READ_ERROR', 1001),
@@ -418,7 +2087,7 @@ window.RefExtractorDocumentParser = (function() {
                 fileSize: file.size
             });
 
-            return await parseDocument(file);
+            return await parseDocument(file, options);
         },
 
         /**
@@ -464,8 +2133,8 @@ window.RefExtractorDocumentParser = (function() {
                 return false;
             }
 
-            const fileName = file.name.toLowerCase();
-            return fileName.endsWith('.docx') || fileName.endsWith('.odt');
+            return getConfig('SUPPORTED_FORMATS.EXTENSIONS', ['.docx', '.odt'])
+                .includes(getFileExtension(file.name));
         },
 
         /**
@@ -474,18 +2143,67 @@ window.RefExtractorDocumentParser = (function() {
          */
         getSupportedTypes() {
             return {
-                extensions: ['.docx', '.odt'],
-                mimeTypes: [
-                    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-                    'application/vnd.oasis.opendocument.text'
-                ],
-                descriptions: {
-                    '.docx': 'Microsoft Word Document (Office Open XML)',
-                    '.odt': 'OpenDocument Text (LibreOffice/OpenOffice)'
-                }
+                extensions: [...getConfig('SUPPORTED_FORMATS.EXTENSIONS', [])],
+                mimeTypes: [...getConfig('SUPPORTED_FORMATS.MIME_TYPES', [])],
+                descriptions: { ...getConfig('SUPPORTED_FORMATS.DESCRIPTIONS', {}) }
             };
         },
 
+        /**
+         * 加载文档压缩包并解压解析时会读取的条目（不解析XML，可以在Worker中执行）
+         * 压缩包损坏时按本地文件头恢复；结果可以通过parse()的options.readArchive传入
+         * @param {File} file - 文档文件
+         * @param {object} options - 选项
+         * @param {AbortSignal} options.signal - 取消信号
+         * @returns {Promise<object>} 压缩包快照（{entries, packages, recovery}）
+         */
+        async readArchive(file, options = {}) {
+            const format = await sniffFileFormat(file);
+            const { zip, recovery } = await loadDocumentArchive(file, format, options.signal);
+            return { ...await snapshotArchive(zip, 0, options.signal), recovery };
+        },
+
+        /**
+         * 加载ZIP压缩包（例如文档压缩包），与文档解析使用相同的解压限制
+         * @param {Blob|Uint8Array} data - 压缩包数据
+         * @returns {Promise<object>} JSZip对象，条目内容须通过readArchiveEntry读取才会检查解压限制
+         */
+        async loadArchive(data) {
+            try {
+                return await loadArchive(data);
+            } catch (error) {
+                throw handleArchiveError(error);
+            }
+        },
+
+        /**
+         * 读取压缩包条目，超出单个部件大小、压缩比或压缩包解压总量限制时拒绝
+         * @param {object} zip - loadArchive返回的JSZip对象
+         * @param {string} path - 条目路径
+         * @param {string} type - 'string'或'uint8array'
+         * @returns {Promise<string|Uint8Array>} 条目内容
+         */
+        async readArchiveEntry(zip, path, type = 'uint8array') {
+            const entry = zip.file(path);
+            if (!entry) {
+                throw new Error(`File not found in ZIP: ${path}`);
+            }
+
+            try {
+                return await readZipEntry(zip, entry, type);
+            } catch (error) {
+                throw handleArchiveError(error);
+            }
+        },
+
+        /**
+         * 获取解压限制
+         * @returns {object} 限制配置
+         */
+        getArchiveLimits() {
+            return { ...getConfig('ARCHIVE_LIMITS', {}) };
+        },
+
         /**
          * 获取解析统计信息
          * @returns {object} 解析统计
@@ -507,6 +2225,17 @@ window.RefExtractorDocumentParser = (function() {
         }
     };
 
+    // 注册损坏压缩包的恢复策略（解压限制错误和取消不属于恢复失败，直接交给parseDocument处理）
+    if (window.RefExtractorErrorHandler && window.RefExtractorErrorHandler.registerRecoveryStrategy) {
+        window.RefExtractorErrorHandler.registerRecoveryStrategy('file', {
+            name: getConfig('ARCHIVE_RECOVERY.STRATEGY_NAME', 'local-file-headers'),
+            canRecover: (error, input) => error.code === getConfig('ERROR_CODES.CORRUPTED_ZIP', 1004) &&
+                !!(input && input.file) && typeof DecompressionStream === 'function',
+            recover: (error, input) => recoverArchive(input.file, input.signal),
+            isFatal: recoveryError => recoveryError.decompressionLimit || isAbortError(recoveryError)
+        });
+    }
+
     return DocumentParser;
 })();
 
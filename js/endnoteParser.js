@@ -0,0 +1,427 @@
+/**
+ * @fileoverview EndNote解析模块 - 将EndNote字段代码（ADDIN EN.CITE）中的记录转换为CSL JSON
+ * @version 1.0.0
+ * @author Reference Extractor Team
+ */
+
+/**
+ * RefExtractor EndNote解析器
+ * 负责解析EN.CITE字段中嵌入的<EndNote><Cite><record>XML，并映射为CSL JSON条目
+ */
+window.RefExtractorEndNoteParser = (function() {
+    'use strict';
+
+    // 私有变量
+    let parsingStats = {
+        totalFields: 0,
+        parsedCites: 0,
+        recordsWithoutData: 0
+    };
+
+    /**
+     * EndNote文献类型名称到CSL类型的映射
+     */
+    const REFERENCE_TYPE_MAP = {
+        'Journal Article': 'article-journal',
+        'Electronic Article': 'article-journal',
+        'Magazine Article': 'article-magazine',
+        'Newspaper Article': 'article-newspaper',
+        'Book': 'book',
+        'Edited Book': 'book',
+        'Electronic Book': 'book',
+        'Book Section': 'chapter',
+        'Electronic Book Section': 'chapter',
+        'Conference Paper': 'paper-conference',
+        'Conference Proceedings': 'paper-conference',
+        'Thesis': 'thesis',
+        'Report': 'report',
+        'Government Document': 'report',
+        'Web Page': 'webpage',
+        'Patent': 'patent',
+        'Dataset': 'dataset',
+        'Dictionary': 'entry-dictionary',
+        'Encyclopedia': 'entry-encyclopedia',
+        'Map': 'map',
+        'Film or Broadcast': 'motion_picture',
+        'Computer Program': 'software',
+        'Legal Rule or Regulation': 'legislation',
+        'Statute': 'legislation',
+        'Case': 'legal_case',
+        'Manuscript': 'manuscript',
+        'Personal Communication': 'personal_communication',
+        'Unpublished Work': 'manuscript'
+    };
+
+    /**
+     * 期刊类文献类型（ISBN字段存放的是ISSN）
+     */
+    const SERIAL_TYPES = ['article-journal', 'article-magazine', 'article-newspaper'];
+
+    /**
+     * 获取配置的辅助函数
+     * @param {string} path - 配置路径
+     * @param {*} defaultValue - 默认值
+     * @returns {*} 配置值
+     */
+    function getConfig(path, defaultValue) {
+        if (window.RefExtractorConfig && window.RefExtractorConfig.get) {
+            return window.RefExtractorConfig.get(path, defaultValue);
+        }
+        return defaultValue;
+    }
+
+    /**
+     * 获取日志器实例
+     * @returns {object} 日志器对象
+     */
+    function getLogger() {
+        return window.RefExtractorLogger || {
+            error: console.error.bind(console),
+            warn: console.warn.bind(console),
+            info: console.info.bind(console),
+            debug: console.log.bind(console),
+            startTiming: () => {},
+            endTiming: () => 0
+        };
+    }
+
+    /**
+     * 获取子元素路径对应的文本
+     * @param {Element} element - 起始元素
+     * @param {string} path - 以“/”分隔的子元素名称路径
+     * @returns {string} 文本内容（已去除首尾空白）
+     */
+    function getText(element, path) {
+        const node = findElement(element, path);
+        return node ? (node.textContent || '').trim() : '';
+    }
+
+    /**
+     * 按子元素名称路径查找元素
+     * @param {Element} element - 起始元素
+     * @param {string} path - 以“/”分隔的子元素名称路径
+     * @returns {Element|null} 找到的元素
+     */
+    function findElement(element, path) {
+        let current = element;
+
+        for (const name of path.split('/')) {
+            if (!current) {
+                return null;
+            }
+            current = Array.from(current.children || []).find(child => child.localName === name) || null;
+        }
+
+        return current;
+    }
+
+    /**
+     * 查找路径下所有同名元素
+     * @param {Element} element - 起始元素
+     * @param {string} path - 以“/”分隔的路径，最后一段为要收集的元素名称
+     * @returns {array} 元素数组
+     */
+    function findAllElements(element, path) {
+        const segments = path.split('/');
+        const name = segments.pop();
+        const parent = segments.length > 0 ? findElement(element, segments.join('/')) : element;
+
+        if (!parent) {
+            return [];
+        }
+
+        return Array.from(parent.children || []).filter(child => child.localName === name);
+    }
+
+    /**
+     * 解析EndNote作者名称（“姓, 名”格式）
+     * @param {string} name - 作者名称
+     * @returns {object} CSL姓名对象
+     */
+    function parseName(name) {
+        const trimmed = name.trim();
+        const commaIndex = trimmed.indexOf(',');
+
+        if (commaIndex === -1) {
+            // 机构作者或无法拆分的姓名
+            return { literal: trimmed };
+        }
+
+        const family = trimmed.substring(0, commaIndex).trim();
+        const given = trimmed.substring(commaIndex + 1).trim();
+        return given ? { family, given } : { family };
+    }
+
+    /**
+     * 解析作者列表
+     * @param {Element} record - record元素
+     * @param {string} path - 作者元素路径
+     * @returns {array} CSL姓名数组
+     */
+    function parseNames(record, path) {
+        return findAllElements(record, path)
+            .map(author => (author.textContent || '').trim())
+            .filter(name => name.length > 0)
+            .map(parseName);
+    }
+
+    /**
+     * 解析出版日期
+     * @param {Element} record - record元素
+     * @returns {object|null} CSL日期对象
+     */
+    function parseIssued(record) {
+        const year = parseInt(getText(record, 'dates/year'), 10);
+        if (isNaN(year)) {
+            return null;
+        }
+
+        const dateParts = [year];
+        const pubDate = getText(record, 'dates/pub-dates/date');
+        const monthMatch = pubDate.match(/^(\d{1,2})[\/\-.](\d{1,2})/);
+        if (monthMatch) {
+            dateParts.push(parseInt(monthMatch[1], 10), parseInt(monthMatch[2], 10));
+        }
+
+        return { 'date-parts': [dateParts] };
+    }
+
+    /**
+     * 获取记录的去重键（数据库ID + 记录号）
+     * @param {Element} record - record元素
+     * @param {string} fallbackRecNum - Cite元素中的RecNum
+     * @returns {string} 去重键
+     */
+    function getRecordKey(record, fallbackRecNum) {
+        const recNumber = (record && getText(record, 'rec-number')) || fallbackRecNum || '';
+        let databaseId = '';
+
+        if (record) {
+            const key = findAllElements(record, 'foreign-keys/key').find(element =>
+                element.getAttribute('app') === 'EN'
+            );
+            databaseId = key ? (key.getAttribute('db-id') || '') : '';
+        }
+
+        const uriPrefix = getConfig('ENDNOTE.URI_PREFIX', 'endnote://');
+        return `${uriPrefix}${databaseId || 'unknown-database'}/${recNumber}`;
+    }
+
+    /**
+     * 将EndNote记录转换为CSL JSON条目
+     * @param {Element} record - record元素
+     * @param {string} itemId - 条目ID
+     * @returns {object} CSL JSON条目
+     */
+    function convertRecord(record, itemId) {
+        const refType = findElement(record, 'ref-type');
+        const typeName = refType ? (refType.getAttribute('name') || '') : '';
+        const type = REFERENCE_TYPE_MAP[typeName] || 'document';
+
+        const item = { id: itemId, type };
+
+        const assign = (field, value) => {
+            if (value && (typeof value !== 'string' || value.length > 0)) {
+                item[field] = value;
+            }
+        };
+
+        const authors = parseNames(record, 'contributors/authors/author');
+        const editors = parseNames(record, 'contributors/secondary-authors/author');
+        if (authors.length > 0) item.author = authors;
+        if (editors.length > 0) item.editor = editors;
+
+        assign('title', getText(record, 'titles/title'));
+        assign('container-title',
+            getText(record, 'titles/secondary-title') || getText(record, 'periodical/full-title'));
+        assign('container-title-short',
+            getText(record, 'alt-periodical/full-title') || getText(record, 'periodical/abbr-1'));
+        assign('collection-title', getText(record, 'titles/tertiary-title'));
+        assign('page', getText(record, 'pages'));
+        assign('volume', getText(record, 'volume'));
+        assign('issue', getText(record, 'number'));
+        assign('edition', getText(record, 'edition'));
+        assign('publisher', getText(record, 'publisher'));
+        assign('publisher-place', getText(record, 'pub-location'));
+        assign('abstract', getText(record, 'abstract'));
+        assign('language', getText(record, 'language'));
+        assign('issued', parseIssued(record));
+
+        const isbn = getText(record, 'isbn');
+        if (isbn) {
+            item[SERIAL_TYPES.includes(type) ? 'ISSN' : 'ISBN'] = isbn;
+        }
+
+        const doiMatch = getText(record, 'electronic-resource-num').match(/10\.\d{4,}\/\S+/);
+        if (doiMatch) {
+            item.DOI = doiMatch[0];
+        }
+
+        assign('URL', getText(record, 'urls/related-urls/url') || getText(record, 'urls/web-urls/url'));
+
+        return item;
+    }
+
+    /**
+     * 判断字段是否为EN.CITE.DATA字段
+     * @param {string} field - 字段内容
+     * @returns {boolean} 是否为EN.CITE.DATA字段
+     */
+    function isDataField(field) {
+        return getConfig('CITATION_PREFIXES.ENDNOTE_DATA', /^ADDIN EN\.CITE\.DATA/).test(field.trim());
+    }
+
+    /**
+     * 解码EN.CITE.DATA字段指令之后的w:fldData内容（Base64编码的UTF-8 XML）
+     * @param {string} field - 字段内容
+     * @returns {string} 解码后的文本，无法解码时返回空字符串
+     */
+    function decodeFieldData(field) {
+        const data = field.trim().replace(getConfig('CITATION_PREFIXES.ENDNOTE_DATA', /^ADDIN EN\.CITE\.DATA/), '').trim();
+        if (!data) {
+            return '';
+        }
+
+        try {
+            const binary = atob(data);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            return new TextDecoder('utf-8').decode(bytes);
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * 从字段中截取EndNote XML载荷
+     * EN.CITE字段的载荷在指令文本中，EN.CITE.DATA字段的载荷来自w:fldData
+     * @param {string} field - 字段内容
+     * @returns {string} XML字符串，不存在时返回空字符串
+     */
+    function extractPayload(field) {
+        const source = field.indexOf('<EndNote>') === -1 && isDataField(field) ? decodeFieldData(field) : field;
+        const start = source.indexOf('<EndNote>');
+        const end = source.lastIndexOf('</EndNote>');
+
+        if (start === -1 || end === -1) {
+            return '';
+        }
+
+        return source.substring(start, end + '</EndNote>'.length);
+    }
+
+    // 公共API
+    const EndNoteParser = {
+        /**
+         * 判断字段是否为EndNote引用字段
+         * @param {string} field - 字段内容
+         * @returns {boolean} 是否为EndNote字段
+         */
+        isEndNoteField(field) {
+            const prefix = getConfig('CITATION_PREFIXES.ENDNOTE', /^ADDIN EN\.CITE/);
+            return typeof field === 'string' && prefix.test(field.trim());
+        },
+
+        /**
+         * 解析EndNote字段
+         * @param {string} field - 字段内容
+         * @param {number} fieldIndex - 字段索引
+         * @returns {array} 引用对象数组（结构与CSL citationItems一致）
+         * @throws {Error} EN.CITE.DATA字段没有可解码的载荷时抛出（由引用处理器计为丢失字段）
+         */
+        parseField(field, fieldIndex) {
+            const logger = getLogger();
+            const citations = [];
+
+            parsingStats.totalFields++;
+
+            const payload = extractPayload(field);
+            if (!payload) {
+                // 旧版Word二进制文档和RTF文档不保存w:fldData，EN.CITE.DATA字段的载荷无法读取
+                if (isDataField(field)) {
+                    throw new Error('EN.CITE.DATA field has no readable field data');
+                }
+                logger.debug(`EndNote field ${fieldIndex + 1} has no inline XML payload`);
+                return citations;
+            }
+
+            try {
+                const parsedDOM = new DOMParser().parseFromString(payload, 'text/xml');
+                if (parsedDOM.getElementsByTagName('parsererror').length > 0) {
+                    throw new Error('Invalid EndNote XML payload');
+                }
+
+                const cites = findAllElements(parsedDOM.documentElement, 'Cite');
+
+                cites.forEach((cite, citeIndex) => {
+                    const record = findElement(cite, 'record');
+                    const key = getRecordKey(record, getText(cite, 'RecNum'));
+
+                    if (!record) {
+                        parsingStats.recordsWithoutData++;
+                    }
+
+                    const citation = {
+                        id: key,
+                        uris: [key],
+                        itemData: record ? convertRecord(record, key) : null,
+                        _fieldIndex: fieldIndex,
+                        _citeIndex: citeIndex,
+                        _originalField: field
+                    };
+
+                    const locator = getText(cite, 'Pages');
+                    const prefix = getText(cite, 'Prefix');
+                    const suffix = getText(cite, 'Suffix');
+                    if (locator) citation.locator = locator;
+                    if (prefix) citation.prefix = prefix;
+                    if (suffix) citation.suffix = suffix;
+                    if (cite.getAttribute('ExcludeAuth') === '1') citation['suppress-author'] = true;
+                    if (cite.getAttribute('AuthorYear') === '1') citation['author-only'] = true;
+
+                    citations.push(citation);
+                });
+
+                parsingStats.parsedCites += citations.length;
+                logger.debug(`Parsed ${citations.length} EndNote cites from field ${fieldIndex + 1}`);
+
+            } catch (error) {
+                logger.warn(`Failed to parse EndNote field ${fieldIndex + 1}`, {
+                    error: error.message,
+                    fieldPreview: field.substring(0, 100)
+                });
+            }
+
+            return citations;
+        },
+
+        /**
+         * 获取解析统计信息
+         * @returns {object} 统计信息
+         */
+        getParsingStats() {
+            return { ...parsingStats };
+        },
+
+        /**
+         * 重置统计信息
+         */
+        resetStats() {
+            parsingStats = {
+                totalFields: 0,
+                parsedCites: 0,
+                recordsWithoutData: 0
+            };
+            getLogger().debug('EndNote parsing statistics reset');
+        }
+    };
+
+    return EndNoteParser;
+})();
+
+// 导出模块（兼容不同模块系统）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.RefExtractorEndNoteParser;
+}
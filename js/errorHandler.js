@@ -14,6 +14,7 @@ window.RefExtractorErrorHandler = (function() {
     // 私有变量
     let errorHistory = [];
     let errorCallbacks = new Map();
+    let recoveryStrategies = new Map();
     let isInitialized = false;
 
     /**
@@ -130,6 +131,10 @@ window.RefExtractorErrorHandler = (function() {
     function isRecoverableError(code) {
         const nonRecoverableCodes = [
             getConfig('ERROR_CODES.CORRUPTED_ZIP', 1004),
+            getConfig('ERROR_CODES.DECOMPRESSION_LIMIT_EXCEEDED', 1005),
+            getConfig('ERROR_CODES.ENCRYPTED_DOCUMENT', 1006),
+            getConfig('ERROR_CODES.LEGACY_BINARY_DOCUMENT', 1007),
+            getConfig('ERROR_CODES.NOT_A_DOCUMENT_ARCHIVE', 1008),
             getConfig('ERROR_CODES.INVALID_FILE_TYPE', 1003),
             getConfig('ERROR_CODES.UNKNOWN_ERROR', 9999)
         ];
@@ -150,7 +155,13 @@ window.RefExtractorErrorHandler = (function() {
         // 根据错误代码映射用户友好消息
         const codeMessageMap = {
             [errorCodes.FILE_READ_ERROR]: messages.FILE_READ_FAILED || '无法读取文件，请检查文件是否损坏',
-            [errorCodes.INVALID_FILE_TYPE]: messages.INVALID_DOCUMENT_TYPE || '不支持的文件类型，请选择.docx或.odt文件',
+            [errorCodes.INVALID_FILE_TYPE]: messages.INVALID_DOCUMENT_TYPE || '不支持的文件类型，请选择Word（.docx、.docm、.dotx、.dotm、.xml、.doc）、RTF（.rtf）或LibreOffice（.odt、.fodt）文件',
+            [errorCodes.FILE_PARSE_ERROR]: messages.PARSING_FAILED || '文档解析失败，请检查文件格式',
+            [errorCodes.CORRUPTED_ZIP]: messages.CORRUPTED_DOCUMENT || '文档已损坏或无效，请在Word或LibreOffice中打开并重新保存后再试',
+            [errorCodes.DECOMPRESSION_LIMIT_EXCEEDED]: messages.DECOMPRESSION_LIMIT_EXCEEDED || '文档解压后超出大小限制，可能已损坏或被恶意构造',
+            [errorCodes.ENCRYPTED_DOCUMENT]: messages.ENCRYPTED_DOCUMENT || '文档受密码或权限管理（IRM）保护，请在Word中移除保护后重新保存再试',
+            [errorCodes.LEGACY_BINARY_DOCUMENT]: messages.LEGACY_BINARY_DOCUMENT || '不支持此旧版二进制文件，请在Word中另存为.docx后再试',
+            [errorCodes.NOT_A_DOCUMENT_ARCHIVE]: messages.NOT_A_DOCUMENT_ARCHIVE || '该文件不是Word或LibreOffice文档（例如Excel或PowerPoint文件）',
             [errorCodes.XML_PARSE_ERROR]: messages.PARSING_FAILED || '文档解析失败，请检查文件格式',
             [errorCodes.CITATION_PARSE_ERROR]: messages.NO_REFERENCES_FOUND || '未找到有效的引用信息',
             [errorCodes.CITATION_JS_ERROR]: messages.NETWORK_ERROR || '引用处理服务异常'
@@ -201,7 +212,7 @@ window.RefExtractorErrorHandler = (function() {
                 case 'file':
                     return recoverFileError(error);
                 case 'xml':
-                    return recoverXmlError(error);
+                    return recoverXmlError(error) !== null;
                 case 'citation':
                     return recoverCitationError(error);
                 case 'ui':
@@ -240,14 +251,92 @@ window.RefExtractorErrorHandler = (function() {
         return false;
     }
 
+    /**
+     * 依次执行为错误分类注册的恢复策略，返回第一个成功策略的结果
+     * @param {string} category - 错误分类
+     * @param {object} error - 标准化错误对象
+     * @param {*} input - 恢复所需的原始输入（例如文件）
+     * @returns {Promise<object|null>} {strategy, result}，没有策略能恢复时返回null
+     */
+    async function runRecoveryStrategies(category, error, input) {
+        for (const strategy of getRecoveryStrategies(category, error, input)) {
+            try {
+                const result = await strategy.recover(error, input);
+                if (result) {
+                    return markRecovered(error, strategy, result);
+                }
+            } catch (recoveryError) {
+                handleRecoveryFailure(error, strategy, recoveryError);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 获取适用于错误的已注册恢复策略（按注册顺序）
+     * @param {string} category - 错误分类
+     * @param {object} error - 标准化错误对象
+     * @param {*} input - 恢复所需的原始输入
+     * @returns {array} 恢复策略数组
+     */
+    function getRecoveryStrategies(category, error, input) {
+        return (recoveryStrategies.get(category) || []).filter(strategy =>
+            typeof strategy.canRecover !== 'function' || strategy.canRecover(error, input));
+    }
+
+    /**
+     * 在错误对象上记录恢复结果
+     * @param {object} error - 标准化错误对象
+     * @param {object} strategy - 成功的恢复策略
+     * @param {*} result - 恢复结果
+     * @returns {object} {strategy, result}
+     */
+    function markRecovered(error, strategy, result) {
+        error.recovered = true;
+        error.recoveryStrategy = strategy.name;
+        getLogger().info('Recovery strategy succeeded', { errorId: error.id, strategy: strategy.name });
+        return { strategy: strategy.name, result };
+    }
+
+    /**
+     * 处理恢复策略抛出的错误：致命错误（例如超出限制或被取消）交给调用方，其余记录后尝试下一个策略
+     * @param {object} error - 标准化错误对象
+     * @param {object} strategy - 失败的恢复策略
+     * @param {Error} recoveryError - 恢复过程中的错误
+     */
+    function handleRecoveryFailure(error, strategy, recoveryError) {
+        if (strategy.isFatal && strategy.isFatal(recoveryError)) {
+            throw recoveryError;
+        }
+        getLogger().warn('Recovery strategy failed', {
+            errorId: error.id,
+            strategy: strategy.name,
+            recoveryError: recoveryError.message
+        });
+    }
+
     /**
      * XML错误恢复
+     * 依次执行为'xml'分类注册的恢复策略（例如容错字段扫描器）；字段提取是同步的，策略必须同步返回结果。
+     * handleError中的自动恢复没有原始输入，此时没有策略适用
      * @param {object} error - 错误对象
-     * @returns {boolean} 是否成功恢复
+     * @param {*} input - 恢复所需的原始输入（例如部件内容）
+     * @returns {object|null} {strategy, result}，无法恢复时返回null
      */
-    function recoverXmlError(error) {
-        // XML解析错误通常不可恢复，但可以尝试备用解析方法
-        return false;
+    function recoverXmlError(error, input) {
+        for (const strategy of getRecoveryStrategies('xml', error, input)) {
+            try {
+                const result = strategy.recover(error, input);
+                if (result) {
+                    return markRecovered(error, strategy, result);
+                }
+            } catch (recoveryError) {
+                handleRecoveryFailure(error, strategy, recoveryError);
+            }
+        }
+
+        return null;
     }
 
     /**
@@ -382,6 +471,49 @@ window.RefExtractorErrorHandler = (function() {
             errorCallbacks.get(category).push(callback);
         },
 
+        /**
+         * 注册错误恢复策略
+         * 策略按注册顺序尝试；recover返回真值表示恢复成功，抛出错误或返回假值时尝试下一个策略
+         * 'file'策略可以返回Promise，'xml'策略必须同步返回
+         * @param {string} category - 错误分类（'file'或'xml'）
+         * @param {object} strategy - 恢复策略
+         * @param {string} strategy.name - 策略名称
+         * @param {function} strategy.canRecover - 可选，(error, input)，判断策略是否适用
+         * @param {function} strategy.recover - (error, input)，返回恢复结果（可以是Promise）
+         * @param {function} strategy.isFatal - 可选，(recoveryError)，为真时恢复错误直接抛给调用方
+         */
+        registerRecoveryStrategy(category, strategy) {
+            if (!strategy || typeof strategy.recover !== 'function') {
+                throw new Error('Recovery strategy must provide a recover function');
+            }
+            if (!recoveryStrategies.has(category)) {
+                recoveryStrategies.set(category, []);
+            }
+            recoveryStrategies.get(category).push(strategy);
+        },
+
+        /**
+         * 使用注册的文件恢复策略恢复文件错误（例如损坏的文档压缩包）
+         * 与handleError中的自动恢复不同，恢复需要原始输入，由出错的模块显式调用
+         * @param {object} error - handleError返回的标准化错误对象
+         * @param {*} input - 恢复所需的原始输入
+         * @returns {Promise<object|null>} {strategy, result}，无法恢复时返回null
+         */
+        recoverFileError(error, input) {
+            return runRecoveryStrategies('file', error, input);
+        },
+
+        /**
+         * 使用注册的XML恢复策略恢复XML错误（例如DOMParser拒绝的内容部件）
+         * 恢复策略同步执行，由出错的模块显式调用
+         * @param {object} error - handleError返回的标准化错误对象
+         * @param {*} input - 恢复所需的原始输入
+         * @returns {object|null} {strategy, result}，无法恢复时返回null
+         */
+        recoverXmlError(error, input) {
+            return recoverXmlError(error, input);
+        },
+
         /**
          * 通知错误回调
          * @param {object} error - 错误对象
@@ -411,8 +543,8 @@ window.RefExtractorErrorHandler = (function() {
                 // 显示用户可见的错误通知
                 if (window.RefExtractorUI && window.RefExtractorUI.showError) {
                     window.RefExtractorUI.showError(error.userMessage, error.severity);
-                } else {
-                    // 备用通知方式
+                } else if (typeof alert === 'function') {
+                    // 备用通知方式（Worker中没有alert）
                     alert(`错误: ${error.userMessage}`);
                 }
             }
@@ -0,0 +1,408 @@
+/**
+ * @fileoverview 提取流程模块 - 串联文档解析、字段提取和引用处理，支持进度事件、取消和Web Worker执行
+ * @version 1.0.0
+ * @author Reference Extractor Team
+ */
+
+/**
+ * RefExtractor提取流程
+ * run()在当前线程中执行完整流程；extract()优先在专用Worker中解压文档压缩包，XML解析仍在当前线程中进行，
+ * Worker不可用时回退到当前线程解压。两者都接受onProgress回调和AbortSignal
+ */
+window.RefExtractorExtractionPipeline = (function() {
+    'use strict';
+
+    // 私有变量：整个页面共用一个Worker，只在取消或出错时终止
+    let worker = null;
+    let workerFailed = false;
+    let nextRequestId = 1;
+    const pendingRequests = new Map();
+
+    /**
+     * 获取配置的辅助函数
+     * @param {string} path - 配置路径
+     * @param {*} defaultValue - 默认值
+     * @returns {*} 配置值
+     */
+    function getConfig(path, defaultValue) {
+        if (window.RefExtractorConfig && window.RefExtractorConfig.get) {
+            return window.RefExtractorConfig.get(path, defaultValue);
+        }
+        return defaultValue;
+    }
+
+    /**
+     * 获取日志器实例
+     * @returns {object} 日志器对象
+     */
+    function getLogger() {
+        return window.RefExtractorLogger || {
+            error: console.error.bind(console),
+            warn: console.warn.bind(console),
+            info: console.info.bind(console),
+            debug: console.log.bind(console),
+            startTiming: () => {},
+            endTiming: () => 0
+        };
+    }
+
+    /**
+     * 获取必需的模块
+     * @param {string} name - 全局模块名称
+     * @returns {object} 模块对象
+     */
+    function requireModule(name) {
+        const module = window[name];
+        if (!module) {
+            throw new Error(`${name} not available`);
+        }
+        return module;
+    }
+
+    /**
+     * 判断错误是否由取消操作引起
+     * @param {*} error - 错误对象
+     * @returns {boolean} 是否为取消错误
+     */
+    function isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    /**
+     * 创建取消错误
+     * @returns {DOMException} AbortError
+     */
+    function createAbortError() {
+        return new DOMException('Extraction was cancelled', 'AbortError');
+    }
+
+    /**
+     * 取消信号已触发时抛出AbortError
+     * @param {AbortSignal} signal - 取消信号
+     */
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw isAbortError(signal.reason) ? signal.reason : createAbortError();
+        }
+    }
+
+    /**
+     * 创建进度报告函数
+     * 阶段内进度（0-100）按PROGRESS.STAGES映射为总进度，事件为{stage, stageProgress, progress, message, fileName}
+     * @param {string} fileName - 文件名
+     * @param {function} onProgress - 进度回调
+     * @returns {function} report(stage, stageProgress)
+     */
+    function createProgressReporter(fileName, onProgress) {
+        const stages = getConfig('PROGRESS.STAGES', {});
+
+        return (stage, stageProgress = 0) => {
+            if (typeof onProgress !== 'function') {
+                return;
+            }
+
+            const range = stages[stage] || { start: 0, end: 100, label: stage };
+            onProgress({
+                stage,
+                stageProgress,
+                progress: Math.round(range.start + (range.end - range.start) * stageProgress / 100),
+                message: range.label,
+                fileName
+            });
+        };
+    }
+
+    /**
+     * 将错误转换为可以通过postMessage传递的对象
+     * @param {*} error - 错误对象（Error或ErrorHandler生成的标准错误对象）
+     * @returns {object} 可序列化的错误对象
+     */
+    function serializeError(error) {
+        const serialized = {
+            name: (error && error.name) || 'Error',
+            message: (error && error.message) || String(error)
+        };
+
+        ['code', 'userMessage', 'severity', 'category', 'originalMessage', 'decompressionLimit', 'details', 'errorCodeName'].forEach(key => {
+            if (error && error[key] !== undefined) {
+                serialized[key] = error[key];
+            }
+        });
+
+        return serialized;
+    }
+
+    /**
+     * 在当前线程中执行完整流程
+     * @param {File} file - 文档文件
+     * @param {object} options - 选项（revisionMode、onProgress、signal、readArchive）
+     * @returns {Promise<object>} 流程结果
+     */
+    async function runPipeline(file, options = {}) {
+        const logger = getLogger();
+        const { revisionMode, onProgress, signal, readArchive } = options;
+        const report = createProgressReporter(file.name, onProgress);
+
+        throwIfAborted(signal);
+        logger.startTiming('extraction_pipeline');
+
+        // 解析文档
+        report('parse', 0);
+        const documentObj = await requireModule('RefExtractorDocumentParser').parse(file, {
+            signal,
+            readArchive,
+            onProgress: progress => report('parse', progress)
+        });
+        logger.info('Document parsed successfully', {
+            type: documentObj.type,
+            contentFilesCount: documentObj.contentFiles.length
+        });
+
+        // 提取字段和样式信息
+        throwIfAborted(signal);
+        report('extract', 0);
+        const fieldExtractor = requireModule('RefExtractorFieldExtractor');
+        const fields = fieldExtractor.extractFields(documentObj.contentFiles, documentObj.type, {
+            styleContent: documentObj.styleContent,
+            partNames: documentObj.extractedFiles,
+            revisionMode,
+            embeddedDocuments: documentObj.embeddedDocuments
+        });
+        logger.info('Fields extracted', { fieldCount: fields.length });
+
+        // DOMParser拒绝、改由容错字段扫描器读取的部件
+        const fallbackParts = [...new Set(fields.filter(field => field.fallback).map(field => field.part))];
+
+        const styleInfo = fieldExtractor.extractStyleInfo(documentObj.styleContent, documentObj.type, {
+            auxiliaryFiles: documentObj.auxiliaryFiles
+        });
+        report('extract', 100);
+
+        // 处理引用（Word内置引文的书目源保存在customXml部件中）
+        throwIfAborted(signal);
+        report('process', 0);
+        const wordSources = window.RefExtractorWordSourcesParser
+            ? window.RefExtractorWordSourcesParser.parseSourcesFromParts(documentObj.auxiliaryFiles)
+            : null;
+
+        const citationResult = requireModule('RefExtractorCitationProcessor').processFields(fields, {
+            wordSources,
+            revisionMode
+        });
+        logger.info('Citations processed', {
+            citationCount: citationResult.citations.length
+        });
+        report('process', 100);
+
+        logger.endTiming('extraction_pipeline');
+        report('complete', 100);
+
+        // 结果只包含可结构化克隆的数据，文档内容不随结果返回
+        return {
+            document: {
+                type: documentObj.type,
+                fileName: documentObj.fileName,
+                fileSize: documentObj.fileSize,
+                extractedFiles: documentObj.extractedFiles,
+                linkedSubdocuments: documentObj.linkedSubdocuments,
+                recovery: documentObj.recovery || null,
+                metadata: documentObj.metadata
+            },
+            fieldCount: fields.length,
+            fallbackParts,
+            styleInfo,
+            citationResult
+        };
+    }
+
+    /**
+     * 终止共用的Worker，尚未完成的请求以workerUnavailable标记拒绝（由调用方回退到当前线程）
+     * @param {string} message - 拒绝原因
+     */
+    function discardWorker(message) {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+
+        const requests = Array.from(pendingRequests.values());
+        pendingRequests.clear();
+        requests.forEach(request => request.reject(Object.assign(new Error(message), { workerUnavailable: true })));
+    }
+
+    /**
+     * 获取共用的Worker，首次调用时创建
+     * Worker脚本无法加载时标记为不可用，之后的文档直接在当前线程中解压
+     * @returns {Worker} Worker实例
+     */
+    function getWorker() {
+        if (worker) {
+            return worker;
+        }
+
+        worker = new Worker(getConfig('WORKER.SCRIPT', 'js/extractionWorker.js'));
+
+        worker.addEventListener('message', event => {
+            const data = event.data || {};
+            if (data.type === 'unavailable') {
+                workerFailed = true;
+                discardWorker(data.message);
+                return;
+            }
+
+            const request = pendingRequests.get(data.id);
+            if (!request) {
+                return;
+            }
+
+            pendingRequests.delete(data.id);
+            if (data.type === 'archive') {
+                request.resolve(data.archive);
+            } else if (data.type === 'error') {
+                request.reject(Object.assign(new Error(data.error.message), data.error));
+            }
+        });
+
+        worker.addEventListener('error', event => {
+            event.preventDefault();
+            workerFailed = true;
+            discardWorker(event.message || 'Extraction worker failed');
+        });
+
+        return worker;
+    }
+
+    /**
+     * 在共用的Worker中加载文档压缩包并解压解析时会读取的条目
+     * 取消时终止Worker（下一个文档重新创建）；Worker无法使用时以workerUnavailable标记拒绝
+     * @param {File} file - 文档文件
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<object>} 压缩包快照（RefExtractorDocumentParser.readArchive的结果）
+     */
+    function readArchiveInWorker(file, signal) {
+        const logger = getLogger();
+
+        return new Promise((resolve, reject) => {
+            let target;
+            try {
+                target = getWorker();
+            } catch (error) {
+                // 例如通过file://打开页面时不允许创建Worker
+                workerFailed = true;
+                reject(Object.assign(new Error(error.message), { workerUnavailable: true }));
+                return;
+            }
+
+            const id = nextRequestId++;
+
+            const handleAbort = () => {
+                pendingRequests.delete(id);
+                discardWorker('Extraction worker terminated');
+                logger.info('Extraction worker terminated', { fileName: file.name });
+                reject(isAbortError(signal.reason) ? signal.reason : createAbortError());
+            };
+
+            const settle = callback => value => {
+                if (signal) {
+                    signal.removeEventListener('abort', handleAbort);
+                }
+                callback(value);
+            };
+
+            pendingRequests.set(id, { resolve: settle(resolve), reject: settle(reject) });
+            if (signal) {
+                signal.addEventListener('abort', handleAbort, { once: true });
+            }
+
+            target.postMessage({ type: 'read', id, file });
+        });
+    }
+
+    // 公共API
+    const ExtractionPipeline = {
+        /**
+         * 在当前线程中执行解析→提取→处理流程
+         * 各阶段之间检查取消信号；文档解析阶段按步骤报告进度
+         * @param {File} file - 文档文件
+         * @param {object} options - 选项
+         * @param {string} options.revisionMode - 修订视图
+         * @param {function} options.onProgress - 进度回调（参数为进度事件）
+         * @param {AbortSignal} options.signal - 取消信号，触发后以AbortError拒绝
+         * @returns {Promise<object>} 流程结果（document、fieldCount、fallbackParts、styleInfo、citationResult）
+         */
+        run(file, options = {}) {
+            return runPipeline(file, options);
+        },
+
+        /**
+         * 执行流程，文档压缩包优先在专用Worker中解压，Worker不可用或被禁用时在当前线程中解压
+         * @param {File} file - 文档文件
+         * @param {object} options - 选项（同run）
+         * @returns {Promise<object>} 流程结果
+         */
+        async extract(file, options = {}) {
+            const logger = getLogger();
+            throwIfAborted(options.signal);
+
+            if (!this.isWorkerSupported()) {
+                return runPipeline(file, options);
+            }
+
+            return runPipeline(file, {
+                ...options,
+                readArchive: async () => {
+                    try {
+                        return await readArchiveInWorker(file, options.signal);
+                    } catch (error) {
+                        if (!error.workerUnavailable) {
+                            throw error;
+                        }
+                        logger.warn('Extraction worker unavailable, reading the archive on the main thread', { error: error.message });
+                        return requireModule('RefExtractorDocumentParser').readArchive(file, { signal: options.signal });
+                    }
+                }
+            });
+        },
+
+        /**
+         * 检查是否可以使用Worker解压文档
+         * @returns {boolean} 是否支持
+         */
+        isWorkerSupported() {
+            return getConfig('WORKER.ENABLED', true) && typeof Worker === 'function' && !workerFailed;
+        },
+
+        /**
+         * 检查Worker是否正在处理请求
+         * @returns {boolean} 是否正在运行
+         */
+        isRunning() {
+            return pendingRequests.size > 0;
+        },
+
+        /**
+         * 判断错误是否由取消操作引起
+         * @param {*} error - 错误对象
+         * @returns {boolean} 是否为取消错误
+         */
+        isAbortError(error) {
+            return isAbortError(error);
+        },
+
+        /**
+         * 将错误转换为可以通过postMessage传递的对象
+         * @param {*} error - 错误对象
+         * @returns {object} 可序列化的错误对象
+         */
+        serializeError(error) {
+            return serializeError(error);
+        }
+    };
+
+    return ExtractionPipeline;
+})();
+
+// 导出模块（兼容不同模块系统）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.RefExtractorExtractionPipeline;
+}
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview 提取Worker脚本 - 在专用Worker中加载文档压缩包并解压解析时会读取的条目，XML解析留在主线程
+ * @version 1.0.0
+ * @author Reference Extractor Team
+ */
+
+/**
+ * 消息协议：
+ * - 主线程发送 {type: 'read', id, file}
+ * - Worker回复 {type: 'archive', id, archive}、{type: 'error', id, error}，
+ *   依赖无法加载时回复 {type: 'unavailable', id, message}
+ * Worker在整个页面中复用；取消由主线程终止Worker完成，Worker内部不需要处理取消消息
+ */
+
+// 各模块挂载在window上，Worker中以self代替
+self.window = self;
+
+let loadError = null;
+try {
+    importScripts('config.js');
+    const config = self.RefExtractorConfig;
+    importScripts(...config.get('WORKER.LIBRARIES', []), ...config.get('WORKER.MODULES', []));
+} catch (error) {
+    // 加载错误在收到请求时报告给主线程
+    loadError = error;
+}
+
+/**
+ * 收集压缩包快照中的全部ArrayBuffer，随消息转移而不是复制
+ * @param {object} archive - 压缩包快照
+ * @param {Set<ArrayBuffer>} buffers - 收集结果
+ * @returns {Set<ArrayBuffer>} 收集结果
+ */
+function collectBuffers(archive, buffers = new Set()) {
+    Object.values(archive.entries).forEach(data => {
+        if (data instanceof Uint8Array) {
+            buffers.add(data.buffer);
+        }
+    });
+    Object.values(archive.packages).forEach(packageArchive => collectBuffers(packageArchive, buffers));
+    return buffers;
+}
+
+self.addEventListener('message', async event => {
+    const data = event.data || {};
+    if (data.type !== 'read') {
+        return;
+    }
+
+    if (loadError) {
+        self.postMessage({ type: 'unavailable', id: data.id, message: `Failed to load worker scripts: ${loadError.message}` });
+        return;
+    }
+
+    try {
+        const archive = await self.RefExtractorDocumentParser.readArchive(data.file);
+        self.postMessage({ type: 'archive', id: data.id, archive }, Array.from(collectBuffers(archive)));
+    } catch (error) {
+        self.postMessage({ type: 'error', id: data.id, error: self.RefExtractorExtractionPipeline.serializeError(error) });
+    }
+});
@@ -94,13 +94,438 @@ window.RefExtractorFieldExtractor = (function() {
         }
     }
 
+    /**
+     * 按本地名称读取属性值（忽略命名空间前缀）
+     * @param {Element} element - XML元素
+     * @param {string} localName - 属性本地名称
+     * @returns {string} 属性值，不存在时返回空字符串
+     */
+    function getAttributeByLocalName(element, localName) {
+        if (!element || !element.attributes) {
+            return '';
+        }
+
+        for (let i = 0; i < element.attributes.length; i++) {
+            const attribute = element.attributes[i];
+            if ((attribute.localName || attribute.name) === localName) {
+                return attribute.value || '';
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * 判断元素是否属于指定命名空间组（如WORDPROCESSINGML，包含Transitional和Strict命名空间）
+     * @param {Element} element - XML元素
+     * @param {string} namespaceGroup - NAMESPACES中的命名空间组名称
+     * @param {string} localName - 元素本地名称（省略时只检查命名空间）
+     * @returns {boolean} 是否匹配
+     */
+    function isNamespaceElement(element, namespaceGroup, localName) {
+        return !!element &&
+            (localName === undefined || element.localName === localName) &&
+            getConfig(`NAMESPACES.${namespaceGroup}`, []).includes(element.namespaceURI);
+    }
+
+    /**
+     * 按命名空间组和本地名称查找子孙元素
+     * @param {Document|Element} root - 根节点
+     * @param {string} namespaceGroup - NAMESPACES中的命名空间组名称
+     * @param {string} localName - 元素本地名称
+     * @returns {array} 元素数组
+     */
+    function getElementsByNamespaceGroup(root, namespaceGroup, localName) {
+        return getConfig(`NAMESPACES.${namespaceGroup}`, [])
+            .flatMap(namespace => Array.from(root.getElementsByTagNameNS(namespace, localName)));
+    }
+
+    /**
+     * 按选择器查找元素
+     * 字符串选择器使用querySelectorAll；对象选择器（{namespaces, element, attribute, valuePrefix}）
+     * 按命名空间URI匹配元素，并要求属性值以valuePrefix开头
+     * @param {Document} parsedDOM - XML文档
+     * @param {string|object} selector - 选择器
+     * @returns {array} 元素数组
+     */
+    function selectElements(parsedDOM, selector) {
+        if (typeof selector === 'string') {
+            return Array.from(parsedDOM.querySelectorAll(selector));
+        }
+
+        return getElementsByNamespaceGroup(parsedDOM, selector.namespaces, selector.element)
+            .filter(element => !selector.attribute ||
+                getAttributeByLocalName(element, selector.attribute).startsWith(selector.valuePrefix || ''));
+    }
+
+    /**
+     * 判断元素是否为mc:Fallback分支
+     * @param {Element} element - XML元素
+     * @returns {boolean} 是否为Fallback元素
+     */
+    function isAlternateContentFallback(element) {
+        return isNamespaceElement(element, 'MARKUP_COMPATIBILITY', 'Fallback');
+    }
+
+    /**
+     * 判断元素是否位于mc:AlternateContent的mc:Fallback分支中
+     * 文本框等内容在mc:Choice（DrawingML）和mc:Fallback（VML）中各保存一份，只应提取一次
+     * @param {Element} element - XML元素
+     * @returns {boolean} 是否位于Fallback分支
+     */
+    function isInAlternateContentFallback(element) {
+        for (let current = element.parentElement; current; current = current.parentElement) {
+            if (isAlternateContentFallback(current)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 收集Zotero书签载荷
+     * 书签模式下，Zotero将字段代码分块存储在ZOTERO_BREF_{书签ID}_{序号}自定义属性中
+     * @param {string} styleContent - 自定义属性文件内容
+     * @param {string} documentType - 文档类型
+     * @returns {Map} 书签名称到完整字段代码的映射
+     */
+    function collectZoteroBookmarkPayloads(styleContent, documentType) {
+        const logger = getLogger();
+        const payloads = new Map();
+
+        if (!styleContent) {
+            return payloads;
+        }
+
+        let selector = '';
+        if (documentType === getConfig('DOCUMENT_TYPES.OFFICE_OPEN_XML')) {
+            selector = getConfig('XML_SELECTORS.BOOKMARK_PAYLOAD_SELECTORS.ZOTERO_OFFICE');
+        } else if (documentType === getConfig('DOCUMENT_TYPES.OPEN_DOCUMENT')) {
+            selector = getConfig('XML_SELECTORS.BOOKMARK_PAYLOAD_SELECTORS.ZOTERO_ODT');
+        }
+
+        if (!selector) {
+            return payloads;
+        }
+
+        try {
+            const parsedDOM = parseXmlString(styleContent, 'bookmark-properties');
+            const properties = parsedDOM.querySelectorAll(selector);
+            const chunkPattern = getConfig('ZOTERO_BOOKMARKS.CHUNK_PATTERN', /^(ZOTERO_BREF_.+)_(\d+)$/);
+            const chunks = new Map();
+
+            for (let i = 0; i < properties.length; i++) {
+                const match = getAttributeByLocalName(properties[i], 'name').match(chunkPattern);
+                if (!match) {
+                    continue;
+                }
+
+                const bookmarkName = match[1];
+                if (!chunks.has(bookmarkName)) {
+                    chunks.set(bookmarkName, []);
+                }
+                chunks.get(bookmarkName).push({
+                    order: parseInt(match[2], 10),
+                    text: properties[i].textContent || ''
+                });
+            }
+
+            // 按序号拼接分块，重建完整字段代码
+            chunks.forEach((parts, bookmarkName) => {
+                let payload = parts
+                    .sort((a, b) => a.order - b.order)
+                    .map(part => part.text)
+                    .join('');
+
+                // 与首选项相同，ODT元数据中的载荷可能仍包含转义实体
+                if (payload.indexOf('"') === -1 && payload.indexOf('&quot;') !== -1) {
+                    payload = unescapeXmlEntities(payload);
+                }
+
+                payloads.set(bookmarkName, payload.trim());
+            });
+
+            logger.debug('Zotero bookmark payloads collected', { bookmarkCount: payloads.size });
+        } catch (error) {
+            logger.warn('Failed to collect Zotero bookmark payloads', error);
+        }
+
+        return payloads;
+    }
+
+    /**
+     * 提取Zotero书签字段
+     * @param {Document} parsedDOM - 内容文件DOM对象
+     * @param {string} selector - 书签开始元素选择器
+     * @param {Map} bookmarkPayloads - 书签名称到字段代码的映射
+     * @param {string} fileName - 文件名
+     * @returns {array} 提取的字段数组（{text, anchor}）
+     */
+    function extractZoteroBookmarkFields(parsedDOM, selector, bookmarkPayloads, fileName) {
+        const logger = getLogger();
+        const fields = [];
+
+        if (!selector || !bookmarkPayloads || bookmarkPayloads.size === 0) {
+            return fields;
+        }
+
+        const bookmarks = selectElements(parsedDOM, selector);
+
+        for (let i = 0; i < bookmarks.length; i++) {
+            if (isInAlternateContentFallback(bookmarks[i])) {
+                continue;
+            }
+
+            const bookmarkName = getAttributeByLocalName(bookmarks[i], 'name');
+            const payload = bookmarkPayloads.get(bookmarkName);
+
+            if (payload) {
+                fields.push({ text: payload, anchor: bookmarks[i] });
+            } else {
+                logger.debug(`No payload found for Zotero bookmark ${bookmarkName} in ${fileName}`);
+            }
+        }
+
+        logger.debug(`Matched ${fields.length} of ${bookmarks.length} Zotero bookmarks in ${fileName}`);
+        return fields;
+    }
+
+    /**
+     * 获取ODT插入修订范围（text:change-start与text:change-end之间）中的元素
+     * 删除的内容位于text:deletion容器中，由getRevisionInfo按祖先元素识别
+     * @param {Document} parsedDOM - 内容文件DOM对象
+     * @returns {Map} 元素到修订信息的映射
+     */
+    function collectChangeRanges(parsedDOM) {
+        const elementNames = getConfig('REVISIONS.CHANGE_RANGE_ELEMENTS', {
+            START: 'change-start', END: 'change-end', REGION: 'changed-region', INSERTION: 'insertion'
+        });
+        const ranges = new Map();
+        const elements = Array.from(parsedDOM.getElementsByTagName('*'));
+        if (!elements.some(element => element.localName === elementNames.START)) {
+            return ranges;
+        }
+
+        // 变更区域ID（text:id或xml:id）到插入修订信息的映射
+        const insertions = new Map();
+        elements.filter(element => element.localName === elementNames.REGION).forEach(region => {
+            const insertion = Array.from(region.children || []).find(child => child.localName === elementNames.INSERTION);
+            if (insertion) {
+                insertions.set(getAttributeByLocalName(region, 'id'), describeRevision(insertion, 'inserted'));
+            }
+        });
+
+        // 按文档顺序跟踪尚未结束的插入范围
+        const open = [];
+        elements.forEach(element => {
+            const changeId = getAttributeByLocalName(element, 'change-id');
+            if (element.localName === elementNames.START && insertions.has(changeId)) {
+                open.push(changeId);
+            } else if (element.localName === elementNames.END) {
+                const index = open.lastIndexOf(changeId);
+                if (index !== -1) {
+                    open.splice(index, 1);
+                }
+            } else if (open.length > 0) {
+                ranges.set(element, insertions.get(open[open.length - 1]));
+            }
+        });
+
+        return ranges;
+    }
+
+    /**
+     * 获取元素的修订信息（所在的删除或插入修订及其作者、时间）
+     * @param {Element} element - XML元素
+     * @param {Map} changeRanges - ODT插入修订范围中的元素（collectChangeRanges），可选
+     * @returns {object} 修订信息（status为unchanged、inserted或deleted）
+     */
+    function getRevisionInfo(element, changeRanges) {
+        const deletionElements = getConfig('REVISIONS.DELETION_ELEMENTS', ['del', 'moveFrom', 'deletion']);
+        const insertionElements = getConfig('REVISIONS.INSERTION_ELEMENTS', ['ins', 'moveTo']);
+
+        for (let current = element; current; current = current.parentElement) {
+            if (deletionElements.includes(current.localName)) {
+                return describeRevision(current, 'deleted');
+            }
+            if (insertionElements.includes(current.localName)) {
+                return describeRevision(current, 'inserted');
+            }
+        }
+
+        if (changeRanges && changeRanges.has(element)) {
+            return changeRanges.get(element);
+        }
+
+        return { status: 'unchanged', author: '', date: '' };
+    }
+
+    /**
+     * 读取修订元素的作者和时间
+     * OOXML保存在w:author/w:date属性中，ODT保存在office:change-info的dc:creator/dc:date子元素中
+     * @param {Element} revision - 修订元素
+     * @param {string} status - 修订状态
+     * @returns {object} 修订信息
+     */
+    function describeRevision(revision, status) {
+        let author = getAttributeByLocalName(revision, 'author');
+        let date = getAttributeByLocalName(revision, 'date');
+
+        const changeInfo = Array.from(revision.children || []).find(child => child.localName === 'change-info');
+        if (changeInfo) {
+            const childText = name => {
+                const child = Array.from(changeInfo.children || []).find(element => element.localName === name);
+                return child ? (child.textContent || '').trim() : '';
+            };
+            author = author || childText('creator');
+            date = date || childText('date');
+        }
+
+        return { status, author, date };
+    }
+
+    /**
+     * 判断修订状态在指定模式下是否可见
+     * @param {string} status - 修订状态
+     * @param {string} revisionMode - 修订模式（accepted、original或all）
+     * @returns {boolean} 是否可见
+     */
+    function isVisibleInRevisionMode(status, revisionMode) {
+        const modes = getConfig('REVISIONS.MODES', {});
+        if (revisionMode === modes.ORIGINAL) {
+            return status !== 'inserted';
+        }
+        if (revisionMode === modes.ALL) {
+            return true;
+        }
+        return status !== 'deleted';
+    }
+
+    /**
+     * 获取段落中的可见文本（OOXML只取w:t，避免混入字段指令）
+     * @param {Element} paragraph - 段落元素
+     * @returns {string} 段落文本
+     */
+    function getParagraphText(paragraph) {
+        const text = isNamespaceElement(paragraph, 'WORDPROCESSINGML')
+            ? getElementsByNamespaceGroup(paragraph, 'WORDPROCESSINGML', 't').map(run => run.textContent || '').join('')
+            : (paragraph.textContent || '');
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * 判断段落是否为标题
+     * OOXML：段落样式为标题样式或设置了大纲级别；ODT：text:h元素
+     * @param {Element} paragraph - 段落元素
+     * @returns {boolean} 是否为标题
+     */
+    function isHeadingParagraph(paragraph) {
+        if (paragraph.localName === 'h') {
+            return true;
+        }
+
+        const properties = Array.from(paragraph.children || [])
+            .find(child => isNamespaceElement(child, 'WORDPROCESSINGML', 'pPr'));
+        if (!properties) {
+            return false;
+        }
+
+        const headingPattern = getConfig('FIELD_PROVENANCE.HEADING_STYLE_PATTERN', /^heading\s*\d*$/i);
+        return Array.from(properties.children || []).some(child =>
+            isNamespaceElement(child, 'WORDPROCESSINGML', 'outlineLvl') ||
+            (isNamespaceElement(child, 'WORDPROCESSINGML', 'pStyle') &&
+                headingPattern.test(getAttributeByLocalName(child, 'val')))
+        );
+    }
+
+    /**
+     * 确定字段所在的文档部分类型
+     * ODT的脚注、尾注和批注内嵌在content.xml中，按祖先元素判断；OOXML按部件路径判断
+     * @param {Element} anchor - 字段锚点元素
+     * @param {string} fileName - 部件路径
+     * @returns {string} 文档部分类型（main、footnote、endnote、header、footer、comment、glossary）
+     */
+    function getStoryType(anchor, fileName) {
+        for (let current = anchor.parentElement; current; current = current.parentElement) {
+            if (current.localName === 'note') {
+                return getAttributeByLocalName(current, 'note-class') || 'footnote';
+            }
+            if (current.localName === 'annotation') {
+                return 'comment';
+            }
+        }
+
+        const patterns = getConfig('FIELD_PROVENANCE.STORY_TYPE_PATTERNS', []);
+        const match = patterns.find(entry => entry.pattern.test(fileName));
+        return match ? match.type : 'main';
+    }
+
+    /**
+     * 为字段补充来源信息：按文档顺序排序，并记录所在部件、序号、段落索引和前面最近的标题
+     * @param {Document} parsedDOM - 内容文件DOM对象
+     * @param {array} fields - 字段数组（{text, anchor}）
+     * @param {string} fileName - 部件路径
+     * @param {object} context - 提取上下文（revisionMode决定保留哪些修订中的字段）
+     * @returns {array} 字段记录数组（{text, part, ordinal, paragraphIndex, heading, storyType, revision}）
+     */
+    function describeFieldLocations(parsedDOM, fields, fileName, context = {}) {
+        const paragraphElements = getConfig('FIELD_PROVENANCE.PARAGRAPH_ELEMENTS', ['p', 'h']);
+        const paragraphs = Array.from(parsedDOM.getElementsByTagName('*'))
+            .filter(element => paragraphElements.includes(element.localName));
+
+        // 段落索引及其前面（含自身）最近的标题
+        const paragraphInfo = new Map();
+        let currentHeading = '';
+        paragraphs.forEach((paragraph, index) => {
+            if (isHeadingParagraph(paragraph)) {
+                currentHeading = getParagraphText(paragraph) || currentHeading;
+            }
+            paragraphInfo.set(paragraph, { index, heading: currentHeading });
+        });
+
+        const findParagraph = anchor => {
+            for (let current = anchor; current; current = current.parentElement) {
+                if (paragraphInfo.has(current)) {
+                    return paragraphInfo.get(current);
+                }
+            }
+            return null;
+        };
+
+        // 不同类型的字段分别收集，按文档位置重新排序
+        const followingFlag = typeof Node !== 'undefined' ? Node.DOCUMENT_POSITION_FOLLOWING : 4;
+        const sorted = [...fields].sort((a, b) => {
+            if (a.anchor === b.anchor) return 0;
+            return a.anchor.compareDocumentPosition(b.anchor) & followingFlag ? -1 : 1;
+        });
+
+        const changeRanges = collectChangeRanges(parsedDOM);
+
+        return sorted
+            .map(field => ({ ...field, revision: getRevisionInfo(field.anchor, changeRanges) }))
+            .filter(field => isVisibleInRevisionMode(field.revision.status, context.revisionMode))
+            .map((field, index) => {
+                const paragraph = findParagraph(field.anchor);
+                return {
+                    text: field.text,
+                    part: fileName,
+                    ordinal: index + 1,
+                    paragraphIndex: paragraph ? paragraph.index : null,
+                    heading: paragraph ? paragraph.heading : '',
+                    storyType: getStoryType(field.anchor, fileName),
+                    revision: field.revision
+                };
+            });
+    }
+
     /**
      * 从OfficeOpenXML文档提取字段
      * @param {string} xmlContent - XML内容
      * @param {string} fileName - 文件名
-     * @returns {array} 提取的字段数组
+     * @param {object} context - 提取上下文（包含书签载荷等）
+     * @returns {array} 提取的字段记录数组
      */
-    function extractOfficeOpenXmlFields(xmlContent, fileName) {
+    function extractOfficeOpenXmlFields(xmlContent, fileName, context = {}) {
         const logger = getLogger();
         logger.debug(`Extracting OfficeOpenXML fields from: ${fileName}`);
 
@@ -108,26 +533,23 @@ window.RefExtractorFieldExtractor = (function() {
         const parsedDOM = parseXmlString(xmlContent, fileName);
 
         try {
-            // 定位复杂字段的开始标记 (<w:fldChar w:fldCharType="begin"/>)
-            const fieldCharBeginSelector = getConfig('XML_SELECTORS.OFFICE_OPEN_XML.FIELD_CHAR_BEGIN');
-            const complexFieldStarts = parsedDOM.querySelectorAll(fieldCharBeginSelector);
+            // 按文档顺序扫描复杂字段（w:fldChar/w:instrText）和简单字段（w:fldSimple）
+            fields.push(...tokenizeFields(parsedDOM, fileName, context.revisionMode));
+
+            // Zotero书签模式：书签名称对应自定义属性中的字段代码
+            const bookmarkFields = extractZoteroBookmarkFields(
+                parsedDOM,
+                getConfig('XML_SELECTORS.OFFICE_OPEN_XML.ZOTERO_BOOKMARKS'),
+                context.bookmarkPayloads,
+                fileName
+            );
+            fields.push(...bookmarkFields);
 
-            logger.debug(`Found ${complexFieldStarts.length} complex field starts in ${fileName}`);
-
-            for (let i = 0; i < complexFieldStarts.length; i++) {
-                try {
-                    const fieldContent = extractComplexFieldContent(complexFieldStarts[i], parsedDOM);
-                    if (fieldContent && fieldContent.trim().length > 0) {
-                        fields.push(fieldContent);
-                        logger.debug(`Extracted field ${i + 1}: ${fieldContent.substring(0, 100)}...`);
-                    }
-                } catch (fieldError) {
-                    logger.warn(`Failed to extract field ${i + 1} from ${fileName}`, fieldError);
-                }
-            }
+            // Mendeley Cite加载项：引用保存在内容控件（w:sdt）的标记中
+            fields.push(...extractMendeleyCiteFields(parsedDOM, fileName));
 
             logger.info(`Successfully extracted ${fields.length} fields from ${fileName}`);
-            return fields;
+            return describeFieldLocations(parsedDOM, fields, fileName, context);
 
         } catch (error) {
             logger.error(`Failed to extract OfficeOpenXML fields from ${fileName}`, error);
@@ -136,66 +558,484 @@ window.RefExtractorFieldExtractor = (function() {
     }
 
     /**
-     * 提取复杂字段内容
-     * @param {Element} fieldStart - 字段开始元素
-     * @param {Document} xmlDoc - XML文档对象
-     * @returns {string} 字段内容
+     * 提取Mendeley Cite内容控件中的引用
+     * 每个引用对应一个w:sdt，其w:tag值为"MENDELEY_CITATION_v3_" + Base64编码的CSL引用JSON
+     * @param {Document} parsedDOM - 解析后的内容文档
+     * @param {string} fileName - 文件名（用于日志）
+     * @returns {array} 字段数组（{text, anchor}，标记值原样返回，由引用处理器解码）
      */
-    function extractComplexFieldContent(fieldStart, xmlDoc) {
+    function extractMendeleyCiteFields(parsedDOM, fileName) {
         const logger = getLogger();
-        let instrTextContent = '';
+        const selector = getConfig('XML_SELECTORS.OFFICE_OPEN_XML.MENDELEY_CITE_TAGS');
+        if (!selector) {
+            return [];
+        }
 
-        try {
-            // 访问兄弟<w:r>元素直到找到结束标记
-            let nextRun = fieldStart.parentElement.nextSibling;
-            let iterationCount = 0;
-            const maxIterations = 1000; // 防止无限循环
+        const fields = [];
+        const tags = selectElements(parsedDOM, selector);
 
-            while (nextRun && iterationCount < maxIterations) {
-                iterationCount++;
+        for (let i = 0; i < tags.length; i++) {
+            if (isInAlternateContentFallback(tags[i])) {
+                continue;
+            }
 
-                // 检查是否到达字段结束标记
-                const fieldCharEndSelector = getConfig('XML_SELECTORS.OFFICE_OPEN_XML.FIELD_CHAR_END');
-                const endRun = nextRun.querySelectorAll ? nextRun.querySelectorAll(fieldCharEndSelector) : [];
-                
-                if (endRun.length > 0) {
-                    logger.debug('Found field end marker');
+            const value = getAttributeByLocalName(tags[i], 'val');
+            if (value && value.trim().length > 0) {
+                fields.push({ text: value.trim(), anchor: tags[i] });
+            }
+        }
+
+        if (fields.length > 0) {
+            logger.debug(`Found ${fields.length} Mendeley Cite content controls in ${fileName}`);
+        }
+
+        return fields;
+    }
+
+    /**
+     * 将字段开始元素中w:fldData的内容附加到EN.CITE.DATA字段指令之后（由EndNote解析器解码）
+     * @param {string} text - 字段指令
+     * @param {string} data - w:fldData内容（Base64）
+     * @returns {string} 字段文本
+     */
+    function appendFieldData(text, data) {
+        const prefix = getConfig('CITATION_PREFIXES.ENDNOTE_DATA', /^ADDIN EN\.CITE\.DATA/);
+        const payload = (data || '').replace(/\s+/g, '');
+        return payload && prefix.test(text) ? `${text} ${payload}` : text;
+    }
+
+    /**
+     * 按文档顺序遍历元素，跳过mc:Fallback分支
+     * @param {Element} root - 根元素
+     * @param {function} visit - 访问函数
+     */
+    function walkElements(root, visit) {
+        const stack = [root];
+
+        while (stack.length > 0) {
+            const element = stack.pop();
+            if (isAlternateContentFallback(element)) {
+                continue;
+            }
+
+            visit(element);
+
+            const children = element.children || [];
+            for (let i = children.length - 1; i >= 0; i--) {
+                stack.push(children[i]);
+            }
+        }
+    }
+
+    /**
+     * 字段分词器：按文档顺序扫描整个部件，用栈跟踪begin/separate/end的嵌套层级
+     * 字段可以跨越段落、超链接、智能标记和内容控件；嵌套字段的指令分别归属各自的层级
+     * 指令文本按修订视图拼接：接受视图忽略已删除的文本，原始视图忽略新插入的文本
+     * 只处理WordprocessingML命名空间（Transitional或Strict）中的元素，与生成工具使用的前缀无关
+     * @param {Document} parsedDOM - 内容文件DOM对象
+     * @param {string} fileName - 文件名（用于日志）
+     * @param {string} revisionMode - 修订模式
+     * @returns {array} 字段数组（{text, anchor}，anchor为字段开始元素）
+     */
+    function tokenizeFields(parsedDOM, fileName, revisionMode) {
+        const logger = getLogger();
+        const modes = getConfig('REVISIONS.MODES', {});
+        const elementNames = getConfig('XML_SELECTORS.OFFICE_OPEN_XML.FIELD_ELEMENTS', {
+            FIELD_CHAR: 'fldChar',
+            INSTR_TEXT: 'instrText',
+            DELETED_INSTR_TEXT: 'delInstrText',
+            SIMPLE_FIELD: 'fldSimple',
+            FIELD_DATA: 'fldData'
+        });
+
+        const fields = [];
+        const openFields = [];
+
+        const emit = (parts, anchor, data) => {
+            // 标注模式下，已删除的字段使用原始视图，其余字段使用接受视图
+            const view = revisionMode === modes.ALL
+                ? (getRevisionInfo(anchor).status === 'deleted' ? modes.ORIGINAL : modes.ACCEPTED)
+                : revisionMode;
+            const text = parts
+                .filter(part => isVisibleInRevisionMode(part.status, view))
+                .map(part => part.text)
+                .join('')
+                .trim();
+            if (text.length > 0) {
+                fields.push({ text: appendFieldData(text, data), anchor });
+            }
+        };
+
+        walkElements(parsedDOM.documentElement, element => {
+            if (!isNamespaceElement(element, 'WORDPROCESSINGML')) {
+                return;
+            }
+
+            switch (element.localName) {
+                case elementNames.FIELD_CHAR: {
+                    const charType = getAttributeByLocalName(element, 'fldCharType');
+                    if (charType === 'begin') {
+                        openFields.push({ parts: [], inResult: false, anchor: element });
+                    } else if (charType === 'separate' && openFields.length > 0) {
+                        openFields[openFields.length - 1].inResult = true;
+                    } else if (charType === 'end') {
+                        const field = openFields.pop();
+                        if (field) {
+                            emit(field.parts, field.anchor, field.data);
+                        } else {
+                            logger.debug(`Ignoring unmatched field end in ${fileName}`);
+                        }
+                    }
                     break;
                 }
-
-                // 获取指令文本内容
-                if (nextRun.getElementsByTagName) {
-                    const instrTextSelector = getConfig('XML_SELECTORS.OFFICE_OPEN_XML.INSTR_TEXT', 'w:instrText');
-                    const instrTextFields = nextRun.getElementsByTagName(instrTextSelector);
-                    
-                    for (let j = 0; j < instrTextFields.length; j++) {
-                        const textContent = instrTextFields[j].textContent || '';
-                        instrTextContent += textContent;
+                case elementNames.INSTR_TEXT:
+                case elementNames.DELETED_INSTR_TEXT: {
+                    // 指令文本只属于最内层尚未进入结果部分的字段
+                    const field = openFields[openFields.length - 1];
+                    if (field && !field.inResult) {
+                        field.parts.push({
+                            text: element.textContent || '',
+                            status: element.localName === elementNames.DELETED_INSTR_TEXT
+                                ? 'deleted'
+                                : getRevisionInfo(element).status
+                        });
                     }
+                    break;
+                }
+                case elementNames.FIELD_DATA: {
+                    // w:fldData是字段开始元素的子元素
+                    const field = openFields[openFields.length - 1];
+                    if (field && !field.inResult) {
+                        field.data = element.textContent || '';
+                    }
+                    break;
                 }
+                case elementNames.SIMPLE_FIELD:
+                    emit([{ text: getAttributeByLocalName(element, 'instr'), status: 'unchanged' }], element);
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        // 文档结束时仍未关闭的字段（部件被截断或损坏），保留已读取的指令
+        if (openFields.length > 0) {
+            logger.warn(`${openFields.length} unterminated fields in ${fileName}`);
+            openFields.forEach(field => emit(field.parts, field.anchor, field.data));
+        }
+
+        logger.debug(`Tokenized ${fields.length} fields in ${fileName}`);
+        return fields;
+    }
+
+    /**
+     * 从旧版Word二进制文档或RTF文档的文本中提取字段
+     * 文本中的0x13、0x14、0x15分别标记字段开始、分隔和结束；嵌套字段的指令分别归属各自的层级
+     * 这两种格式的修订标记和段落样式保存在格式属性中，因此修订状态一律为unchanged，也不记录标题
+     * @param {string} text - 文档部分文本
+     * @param {string} fileName - 部件名称（WordDocument/{部分名称}或RTF/{部分名称}）
+     * @returns {array} 提取的字段记录数组
+     */
+    function extractWordBinaryFields(text, fileName) {
+        const logger = getLogger();
+        const markers = getConfig('WORD_BINARY.FIELD_MARKERS', { BEGIN: '\u0013', SEPARATE: '\u0014', END: '\u0015' });
+        const paragraphMarks = getConfig('WORD_BINARY.PARAGRAPH_MARKS', ['\r', '\u0007']);
+        const storyName = fileName.substring(fileName.lastIndexOf('/') + 1);
+        const story = getConfig('WORD_BINARY.STORIES', []).find(candidate => candidate.name === storyName);
 
-                nextRun = nextRun.nextSibling;
+        const fields = [];
+        const openFields = [];
+        let paragraphIndex = 0;
+
+        const emit = field => {
+            const instruction = field.instruction.trim();
+            if (instruction.length > 0) {
+                fields.push({ text: instruction, offset: field.offset, paragraphIndex: field.paragraphIndex });
             }
+        };
 
-            if (iterationCount >= maxIterations) {
-                logger.warn('Reached maximum iterations while extracting complex field content');
+        for (let offset = 0; offset < text.length; offset++) {
+            const character = text.charAt(offset);
+
+            if (character === markers.BEGIN) {
+                openFields.push({ instruction: '', inResult: false, offset, paragraphIndex });
+            } else if (character === markers.SEPARATE) {
+                if (openFields.length > 0) {
+                    openFields[openFields.length - 1].inResult = true;
+                }
+            } else if (character === markers.END) {
+                const field = openFields.pop();
+                if (field) {
+                    emit(field);
+                }
+            } else {
+                const field = openFields[openFields.length - 1];
+                if (field && !field.inResult) {
+                    field.instruction += character;
+                }
+                if (paragraphMarks.includes(character)) {
+                    paragraphIndex++;
+                }
             }
+        }
 
-            return instrTextContent.trim();
+        if (openFields.length > 0) {
+            logger.warn(`${openFields.length} unterminated fields in ${fileName}`);
+            openFields.forEach(emit);
+        }
 
-        } catch (error) {
-            logger.warn('Error extracting complex field content', error);
-            return '';
+        logger.debug(`Tokenized ${fields.length} fields in ${fileName}`);
+
+        return fields
+            .sort((a, b) => a.offset - b.offset)
+            .map((field, index) => ({
+                text: field.text,
+                part: fileName,
+                ordinal: index + 1,
+                paragraphIndex: field.paragraphIndex,
+                heading: '',
+                storyType: story ? story.storyType : 'main',
+                revision: { status: 'unchanged', author: '', date: '' }
+            }));
+    }
+
+    /**
+     * 解码XML文本中的预定义实体和字符引用，其他实体（例如导致解析失败的未定义实体）原样保留
+     * @param {string} text - XML文本
+     * @returns {string} 解码后的文本
+     */
+    function decodeXmlText(text) {
+        const entities = { quot: '"', lt: '<', gt: '>', amp: '&', apos: "'" };
+        return text.replace(/&(?:#(\d+)|#x([0-9a-fA-F]+)|(quot|lt|gt|amp|apos));/g, (match, decimal, hex, name) => {
+            if (name) {
+                return entities[name];
+            }
+            const codePoint = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+            return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+        });
+    }
+
+    /**
+     * 容错字段扫描器：DOMParser拒绝内容部件时按标记顺序扫描原始XML（注册为XML错误的恢复策略）
+     * 识别复杂字段（fldChar/instrText）、简单字段、引用标记、Zotero书签和Mendeley Cite内容控件；
+     * 元素只按本地名称匹配，不匹配的结束标记被忽略。修订状态、段落索引和文档部分类型由尚未关闭的祖先元素确定，不记录标题
+     * @param {string} xmlContent - XML内容
+     * @param {string} fileName - 部件路径
+     * @param {object} context - 提取上下文（bookmarkPayloads、revisionMode）
+     * @returns {array} 字段记录数组（fallback为true）
+     */
+    function scanFieldsTolerantly(xmlContent, fileName, context = {}) {
+        const logger = getLogger();
+        const modes = getConfig('REVISIONS.MODES', {});
+        const elementNames = getConfig('XML_SELECTORS.OFFICE_OPEN_XML.FIELD_ELEMENTS', {
+            FIELD_CHAR: 'fldChar',
+            INSTR_TEXT: 'instrText',
+            DELETED_INSTR_TEXT: 'delInstrText',
+            SIMPLE_FIELD: 'fldSimple',
+            FIELD_DATA: 'fldData'
+        });
+        const deletionElements = getConfig('REVISIONS.DELETION_ELEMENTS', ['del', 'moveFrom', 'deletion']);
+        const insertionElements = getConfig('REVISIONS.INSERTION_ELEMENTS', ['ins', 'moveTo']);
+        const changeRangeNames = getConfig('REVISIONS.CHANGE_RANGE_ELEMENTS', {
+            START: 'change-start', END: 'change-end', REGION: 'changed-region', INSERTION: 'insertion'
+        });
+        const paragraphElements = getConfig('FIELD_PROVENANCE.PARAGRAPH_ELEMENTS', ['p', 'h']);
+        const bookmarkPrefix = getConfig('XML_SELECTORS.OFFICE_OPEN_XML.ZOTERO_BOOKMARKS.valuePrefix', 'ZOTERO_BREF_');
+        const mendeleyCitePrefix = getConfig('XML_SELECTORS.OFFICE_OPEN_XML.MENDELEY_CITE_TAGS.valuePrefix', 'MENDELEY_CITATION_v3_');
+        const bookmarkPayloads = context.bookmarkPayloads || new Map();
+        const storyTypePattern = getConfig('FIELD_PROVENANCE.STORY_TYPE_PATTERNS', []).find(entry => entry.pattern.test(fileName));
+
+        const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([^\s\/>!?]+)((?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+        const attributePattern = /([^\s=\/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        const localNameOf = name => name.substring(name.indexOf(':') + 1);
+
+        const readAttributes = source => {
+            const attributes = {};
+            let match;
+            attributePattern.lastIndex = 0;
+            while ((match = attributePattern.exec(source)) !== null) {
+                attributes[localNameOf(match[1])] = decodeXmlText(match[2] !== undefined ? match[2] : match[3]);
+            }
+            return attributes;
+        };
+
+        // 尚未关闭的元素（{name, revision, storyType, paragraphIndex, instruction, fieldData, changeRegion, fallbackBranch}）
+        const openElements = [];
+        const openFields = [];
+        // ODT插入修订：包含text:insertion的变更区域ID，以及尚未结束的插入范围
+        const insertionRegions = new Map();
+        const openChanges = [];
+        const found = [];
+        let paragraphCount = 0;
+
+        const nearest = key => {
+            for (let i = openElements.length - 1; i >= 0; i--) {
+                if (openElements[i][key] !== undefined) {
+                    return openElements[i][key];
+                }
+            }
+            return undefined;
+        };
+
+        const currentRevision = () => nearest('revision') ||
+            (openChanges.length > 0 ? insertionRegions.get(openChanges[openChanges.length - 1]) : null) ||
+            { status: 'unchanged', author: '', date: '' };
+
+        const addField = (text, position, revision, paragraphIndex) => {
+            if (text.trim().length > 0) {
+                found.push({
+                    text: text.trim(),
+                    position,
+                    revision,
+                    paragraphIndex: paragraphIndex !== undefined ? paragraphIndex : null,
+                    storyType: nearest('storyType') || (storyTypePattern ? storyTypePattern.type : 'main')
+                });
+            }
+        };
+
+        // 与字段分词器相同：标注模式下，已删除的字段使用原始视图，其余字段使用接受视图
+        const emit = field => {
+            const view = context.revisionMode === modes.ALL
+                ? (field.revision.status === 'deleted' ? modes.ORIGINAL : modes.ACCEPTED)
+                : context.revisionMode;
+            const text = field.parts
+                .filter(part => isVisibleInRevisionMode(part.status, view))
+                .map(part => part.text)
+                .join('')
+                .trim();
+            addField(appendFieldData(text, field.data), field.position, field.revision, field.paragraphIndex);
+        };
+
+        const appendInstruction = text => {
+            const status = nearest('instruction');
+            const field = openFields[openFields.length - 1];
+            if (!field || field.inResult || text.length === 0) {
+                return;
+            }
+            if (nearest('fieldData')) {
+                field.data = (field.data || '') + text;
+            } else if (status !== undefined) {
+                field.parts.push({ text, status });
+            }
+        };
+
+        let textStart = 0;
+        let match;
+        while ((match = tokenPattern.exec(xmlContent)) !== null) {
+            const [token, cdata, closing, name, attributeSource, selfClosing] = match;
+            appendInstruction(decodeXmlText(xmlContent.substring(textStart, match.index)));
+            textStart = tokenPattern.lastIndex;
+
+            if (cdata !== undefined) {
+                appendInstruction(cdata);
+                continue;
+            }
+            if (!name || token.charAt(1) === '!' || token.charAt(1) === '?') {
+                continue;
+            }
+
+            if (closing) {
+                const index = openElements.map(element => element.name).lastIndexOf(name);
+                if (index !== -1) {
+                    openElements.length = index;
+                }
+                continue;
+            }
+
+            const localName = localNameOf(name);
+            const attributes = readAttributes(attributeSource || '');
+            const element = { name };
+
+            // mc:Fallback分支中的内容在mc:Choice中已有一份（段落仍计入索引，与DOM提取一致）
+            if (nearest('fallbackBranch') || localName === 'Fallback') {
+                if (paragraphElements.includes(localName)) {
+                    paragraphCount++;
+                }
+                if (!selfClosing) {
+                    openElements.push({ name, fallbackBranch: true });
+                }
+                continue;
+            }
+
+            const position = match.index;
+            if (paragraphElements.includes(localName)) {
+                element.paragraphIndex = paragraphCount++;
+            }
+            const paragraphIndex = element.paragraphIndex !== undefined ? element.paragraphIndex : nearest('paragraphIndex');
+
+            if (deletionElements.includes(localName)) {
+                element.revision = { status: 'deleted', author: attributes.author || '', date: attributes.date || '' };
+            } else if (insertionElements.includes(localName)) {
+                element.revision = { status: 'inserted', author: attributes.author || '', date: attributes.date || '' };
+            } else if (localName === changeRangeNames.REGION) {
+                element.changeRegion = attributes.id || '';
+            } else if (localName === changeRangeNames.INSERTION && nearest('changeRegion') !== undefined) {
+                insertionRegions.set(nearest('changeRegion'), { status: 'inserted', author: '', date: '' });
+            } else if (localName === changeRangeNames.START && insertionRegions.has(attributes['change-id'])) {
+                openChanges.push(attributes['change-id']);
+            } else if (localName === changeRangeNames.END && openChanges.includes(attributes['change-id'])) {
+                openChanges.splice(openChanges.lastIndexOf(attributes['change-id']), 1);
+            } else if (localName === 'note') {
+                element.storyType = attributes['note-class'] || 'footnote';
+            } else if (localName === 'annotation') {
+                element.storyType = 'comment';
+            } else if (localName === elementNames.FIELD_CHAR) {
+                const charType = attributes.fldCharType;
+                if (charType === 'begin') {
+                    openFields.push({ parts: [], inResult: false, position, revision: currentRevision(), paragraphIndex });
+                } else if (charType === 'separate' && openFields.length > 0) {
+                    openFields[openFields.length - 1].inResult = true;
+                } else if (charType === 'end' && openFields.length > 0) {
+                    emit(openFields.pop());
+                }
+            } else if (localName === elementNames.FIELD_DATA) {
+                element.fieldData = true;
+            } else if (localName === elementNames.INSTR_TEXT || localName === elementNames.DELETED_INSTR_TEXT) {
+                element.instruction = localName === elementNames.DELETED_INSTR_TEXT ? 'deleted' : currentRevision().status;
+            } else if (localName === elementNames.SIMPLE_FIELD) {
+                addField(attributes.instr || '', position, currentRevision(), paragraphIndex);
+            } else if (localName === 'reference-mark-start') {
+                addField(attributes.name || '', position, currentRevision(), paragraphIndex);
+            } else if ((localName === 'bookmarkStart' || localName === 'bookmark-start') &&
+                (attributes.name || '').startsWith(bookmarkPrefix)) {
+                addField(bookmarkPayloads.get(attributes.name) || '', position, currentRevision(), paragraphIndex);
+            } else if (localName === 'tag' && (attributes.val || '').startsWith(mendeleyCitePrefix)) {
+                addField(attributes.val, position, currentRevision(), paragraphIndex);
+            }
+
+            if (!selfClosing) {
+                openElements.push(element);
+            }
         }
+
+        // 部件结束时仍未关闭的字段，保留已读取的指令
+        openFields.forEach(emit);
+
+        logger.debug(`Tolerant scanner found ${found.length} fields in ${fileName}`);
+
+        return found
+            .sort((a, b) => a.position - b.position)
+            .filter(field => isVisibleInRevisionMode(field.revision.status, context.revisionMode))
+            .map((field, index) => ({
+                text: field.text,
+                part: fileName,
+                ordinal: index + 1,
+                paragraphIndex: field.paragraphIndex,
+                heading: '',
+                storyType: field.storyType,
+                revision: field.revision,
+                fallback: true
+            }));
     }
 
     /**
      * 从OpenDocument文档提取字段
      * @param {string} xmlContent - XML内容
      * @param {string} fileName - 文件名
-     * @returns {array} 提取的字段数组
+     * @param {object} context - 提取上下文（包含书签载荷等）
+     * @returns {array} 提取的字段记录数组
      */
-    function extractOpenDocumentFields(xmlContent, fileName) {
+    function extractOpenDocumentFields(xmlContent, fileName, context = {}) {
         const logger = getLogger();
         logger.debug(`Extracting OpenDocument fields from: ${fileName}`);
 
@@ -213,7 +1053,7 @@ window.RefExtractorFieldExtractor = (function() {
                 try {
                     const nameAttribute = referenceMarks[i].getAttribute('text:name');
                     if (nameAttribute && nameAttribute.trim().length > 0) {
-                        fields.push(nameAttribute.trim());
+                        fields.push({ text: nameAttribute.trim(), anchor: referenceMarks[i] });
                         logger.debug(`Extracted reference mark ${i + 1}: ${nameAttribute.substring(0, 100)}...`);
                     }
                 } catch (fieldError) {
@@ -221,8 +1061,17 @@ window.RefExtractorFieldExtractor = (function() {
                 }
             }
 
+            // Zotero书签模式：<text:bookmark-start>名称对应meta.xml中的用户自定义属性
+            const bookmarkFields = extractZoteroBookmarkFields(
+                parsedDOM,
+                getConfig('XML_SELECTORS.OPEN_DOCUMENT.ZOTERO_BOOKMARKS'),
+                context.bookmarkPayloads,
+                fileName
+            );
+            fields.push(...bookmarkFields);
+
             logger.info(`Successfully extracted ${fields.length} reference marks from ${fileName}`);
-            return fields;
+            return describeFieldLocations(parsedDOM, fields, fileName, context);
 
         } catch (error) {
             logger.error(`Failed to extract OpenDocument fields from ${fileName}`, error);
@@ -312,6 +1161,48 @@ window.RefExtractorFieldExtractor = (function() {
         }
     }
 
+    /**
+     * 提取Mendeley Cite样式
+     * Mendeley Cite将样式设置保存在Web扩展部件的MENDELEY_CITATIONS_STYLE属性中，
+     * 属性值为JSON（部分版本会再包一层JSON字符串）
+     * @param {object} auxiliaryFiles - 文件路径到XML内容的映射
+     * @returns {string} 样式ID
+     */
+    function extractMendeleyCiteStyle(auxiliaryFiles) {
+        const logger = getLogger();
+        const selector = getConfig('XML_SELECTORS.STYLE_SELECTORS.MENDELEY_CITE');
+
+        for (const [fileName, content] of Object.entries(auxiliaryFiles || {})) {
+            if (!content || content.indexOf('MENDELEY_CITATIONS_STYLE') === -1) {
+                continue;
+            }
+
+            try {
+                const parsedDOM = parseXmlString(content, fileName);
+                const property = parsedDOM.querySelector(selector);
+                const value = property ? getAttributeByLocalName(property, 'value') : '';
+                if (!value) {
+                    continue;
+                }
+
+                let style = JSON.parse(value);
+                if (typeof style === 'string') {
+                    style = JSON.parse(style);
+                }
+
+                const styleId = style && typeof style.id === 'string' ? style.id.trim() : '';
+                if (styleId) {
+                    logger.debug(`Found Mendeley Cite style: ${styleId}`);
+                    return styleId;
+                }
+            } catch (error) {
+                logger.warn(`Error extracting Mendeley Cite style from ${fileName}`, error);
+            }
+        }
+
+        return '';
+    }
+
     /**
      * 反转义XML实体
      * @param {string} xmlString - 包含转义实体的XML字符串
@@ -371,13 +1262,8 @@ window.RefExtractorFieldExtractor = (function() {
     function cleanStyleId(styleId) {
         if (!styleId) return '';
         
-        // 移除Zotero样式URL前缀
-        const zoteroStylePrefix = 'http://www.zotero.org/styles/';
-        if (styleId.startsWith(zoteroStylePrefix)) {
-            return styleId.substring(zoteroStylePrefix.length);
-        }
-        
-        return styleId;
+        // 移除Zotero样式URL前缀（Mendeley Cite使用https形式）
+        return styleId.replace(/^https?:\/\/www\.zotero\.org\/styles\//, '');
     }
 
     // 公共API
@@ -386,9 +1272,17 @@ window.RefExtractorFieldExtractor = (function() {
          * 从文档内容中提取字段
          * @param {array} contentFiles - 内容文件数组
          * @param {string} documentType - 文档类型
-         * @returns {array} 提取的字段数组
+         * @param {object} options - 提取选项
+         * @param {string} options.styleContent - 自定义属性或元数据文件内容（用于还原Zotero书签引用）
+         * @param {array} options.partNames - 与contentFiles一一对应的部件路径
+         * @param {string} options.revisionMode - 修订模式（accepted、original或all，默认accepted）
+         * @param {array} options.embeddedDocuments - 嵌入文档（DocumentParser返回的embeddedDocuments），
+         *   其字段合并到结果中并以embeddedPackage标记所属的文档包
+         * @returns {array} 提取的字段记录数组
+         *   （{text, part, ordinal, paragraphIndex, heading, storyType, revision}；ordinal为部件内从1开始的序号，
+         *   paragraphIndex为部件内从0开始的段落索引）
          */
-        extractFields(contentFiles, documentType) {
+        extractFields(contentFiles, documentType, options = {}) {
             const logger = getLogger();
             const errorHandler = getErrorHandler();
 
@@ -404,20 +1298,56 @@ window.RefExtractorFieldExtractor = (function() {
                 let allFields = [];
 
                 // 根据文档类型选择提取方法
-                const extractionMethod = documentType === getConfig('DOCUMENT_TYPES.OFFICE_OPEN_XML') 
-                    ? extractOfficeOpenXmlFields 
-                    : extractOpenDocumentFields;
+                const extractionMethods = {
+                    [getConfig('DOCUMENT_TYPES.OFFICE_OPEN_XML')]: extractOfficeOpenXmlFields,
+                    [getConfig('DOCUMENT_TYPES.OPEN_DOCUMENT')]: extractOpenDocumentFields,
+                    [getConfig('DOCUMENT_TYPES.WORD_BINARY')]: extractWordBinaryFields,
+                    [getConfig('DOCUMENT_TYPES.RTF')]: extractWordBinaryFields
+                };
+                const extractionMethod = extractionMethods[documentType] || extractOpenDocumentFields;
+
+                const context = {
+                    bookmarkPayloads: collectZoteroBookmarkPayloads(options.styleContent, documentType),
+                    revisionMode: options.revisionMode || getConfig('REVISIONS.DEFAULT_MODE', 'accepted')
+                };
 
                 // 从每个内容文件中提取字段
+                const partNames = options.partNames || [];
+
                 contentFiles.forEach((content, index) => {
+                    const fileName = partNames[index] || `content_file_${index + 1}`;
                     try {
-                        const fileName = `content_file_${index + 1}`;
-                        const fields = extractionMethod(content, fileName);
+                        const fields = extractionMethod(content, fileName, context);
                         allFields = allFields.concat(fields);
                         
                         logger.debug(`Extracted ${fields.length} fields from ${fileName}`);
                     } catch (fileError) {
-                        logger.warn(`Failed to extract fields from content file ${index + 1}`, fileError);
+                        // DOMParser拒绝的部件改用注册的XML错误恢复策略（容错字段扫描器）
+                        const recovered = fileError.code === getConfig('ERROR_CODES.XML_PARSE_ERROR', 2001) &&
+                            typeof errorHandler.recoverXmlError === 'function'
+                            ? errorHandler.recoverXmlError(fileError, { content, fileName, context })
+                            : null;
+
+                        if (recovered) {
+                            allFields = allFields.concat(recovered.result);
+                            logger.warn(`Content file ${fileName} is not well-formed XML, ${recovered.result.length} fields read by ${recovered.strategy}`);
+                        } else {
+                            logger.warn(`Failed to extract fields from content file ${index + 1}`, fileError);
+                        }
+                    }
+                });
+
+                // 合并嵌入文档的字段（嵌入文档使用各自的文档类型和自定义属性）
+                (options.embeddedDocuments || []).forEach(embedded => {
+                    try {
+                        const embeddedFields = FieldExtractor.extractFields(embedded.contentFiles, embedded.type, {
+                            styleContent: embedded.styleContent,
+                            partNames: embedded.extractedFiles,
+                            revisionMode: context.revisionMode
+                        });
+                        allFields = allFields.concat(embeddedFields.map(field => ({ ...field, embeddedPackage: embedded.name })));
+                    } catch (embeddedError) {
+                        logger.warn(`Failed to extract fields from embedded document ${embedded.name}`, embeddedError);
                     }
                 });
 
@@ -450,16 +1380,19 @@ window.RefExtractorFieldExtractor = (function() {
          * 提取CSL样式信息
          * @param {string} styleContent - 样式文件内容
          * @param {string} documentType - 文档类型
+         * @param {object} options - 提取选项
+         * @param {object} options.auxiliaryFiles - 辅助部件（用于读取Mendeley Cite样式）
          * @returns {object} 样式信息对象
          */
-        extractStyleInfo(styleContent, documentType) {
+        extractStyleInfo(styleContent, documentType, options = {}) {
             const logger = getLogger();
             const errorHandler = getErrorHandler();
 
-            if (!styleContent) {
+            if (!styleContent && !options.auxiliaryFiles) {
                 logger.debug('No style content provided');
                 return {
                     mendeley: '',
+                    mendeleyCite: '',
                     zotero: '',
                     combined: '',
                     cleaned: ''
@@ -472,19 +1405,21 @@ window.RefExtractorFieldExtractor = (function() {
             extractionStats.styleExtractions++;
 
             try {
-                const parsedDOM = parseXmlString(styleContent, 'style-file');
+                const parsedDOM = styleContent ? parseXmlString(styleContent, 'style-file') : null;
 
-                // 提取Mendeley和Zotero样式
-                const mendeleyStyle = extractMendeleyCSLStyle(parsedDOM);
-                const zoteroStyle = extractZoteroCSLStyle(parsedDOM, documentType);
+                // 提取Mendeley、Mendeley Cite和Zotero样式
+                const mendeleyStyle = parsedDOM ? extractMendeleyCSLStyle(parsedDOM) : '';
+                const mendeleyCiteStyle = extractMendeleyCiteStyle(options.auxiliaryFiles);
+                const zoteroStyle = parsedDOM ? extractZoteroCSLStyle(parsedDOM, documentType) : '';
 
                 // 合并样式信息（只包含非空值）
-                const styles = [mendeleyStyle, zoteroStyle].filter(style => style.length > 0);
+                const styles = [mendeleyStyle, mendeleyCiteStyle, zoteroStyle].filter(style => style.length > 0);
                 const combinedStyle = styles.join(', ');
-                const cleanedStyle = cleanStyleId(combinedStyle);
+                const cleanedStyle = styles.map(cleanStyleId).join(', ');
 
                 const styleInfo = {
                     mendeley: mendeleyStyle,
+                    mendeleyCite: mendeleyCiteStyle,
                     zotero: zoteroStyle,
                     combined: combinedStyle,
                     cleaned: cleanedStyle,
@@ -504,6 +1439,7 @@ window.RefExtractorFieldExtractor = (function() {
                 // 样式提取失败不应阻止主要功能
                 return {
                     mendeley: '',
+                    mendeleyCite: '',
                     zotero: '',
                     combined: '',
                     cleaned: '',
@@ -514,7 +1450,7 @@ window.RefExtractorFieldExtractor = (function() {
 
         /**
          * 验证提取的字段
-         * @param {array} fields - 字段数组
+         * @param {array} fields - 字段数组（字符串或{text, part}记录）
          * @returns {object} 验证结果
          */
         validateFields(fields) {
@@ -533,27 +1469,32 @@ window.RefExtractorFieldExtractor = (function() {
             const warnings = [];
             const errors = [];
 
-            // 获取引用字段前缀正则
+            // 优先使用引用处理器的来源注册表，否则退回到通用CSL前缀
+            const citationProcessor = window.RefExtractorCitationProcessor;
             const cslPrefix = getConfig('CITATION_PREFIXES.CSL_GENERAL');
+            const isCitationField = citationProcessor && citationProcessor.matchCitationSource
+                ? field => citationProcessor.matchCitationSource(field) !== null
+                : field => cslPrefix.test(field);
 
             fields.forEach((field, index) => {
-                if (typeof field !== 'string') {
+                const text = field && typeof field === 'object' ? field.text : field;
+                if (typeof text !== 'string') {
                     errors.push(`Field ${index + 1} is not a string`);
                     return;
                 }
 
-                const trimmedField = field.trim();
+                const trimmedField = text.trim();
                 
                 if (trimmedField.length === 0) {
                     warnings.push(`Field ${index + 1} is empty`);
                     return;
                 }
 
-                // 检查是否是有效的CSL引用字段
-                if (cslPrefix.test(trimmedField)) {
-                    validFields.push(trimmedField);
+                // 检查是否是已知引用来源的字段
+                if (isCitationField(trimmedField)) {
+                    validFields.push(text === field ? trimmedField : { ...field, text: trimmedField });
                 } else {
-                    warnings.push(`Field ${index + 1} does not match CSL citation pattern`);
+                    warnings.push(`Field ${index + 1} does not match any citation source`);
                 }
             });
 
@@ -610,11 +1551,22 @@ window.RefExtractorFieldExtractor = (function() {
         getSupportedDocumentTypes() {
             return [
                 getConfig('DOCUMENT_TYPES.OFFICE_OPEN_XML'),
-                getConfig('DOCUMENT_TYPES.OPEN_DOCUMENT')
+                getConfig('DOCUMENT_TYPES.OPEN_DOCUMENT'),
+                getConfig('DOCUMENT_TYPES.WORD_BINARY'),
+                getConfig('DOCUMENT_TYPES.RTF')
             ];
         }
     };
 
+    // 注册XML错误的恢复策略：内容部件无法解析时使用容错字段扫描器
+    if (window.RefExtractorErrorHandler && window.RefExtractorErrorHandler.registerRecoveryStrategy) {
+        window.RefExtractorErrorHandler.registerRecoveryStrategy('xml', {
+            name: getConfig('XML_FALLBACK.STRATEGY_NAME', 'tolerant-field-scanner'),
+            canRecover: (error, input) => !!input && typeof input.content === 'string',
+            recover: (error, input) => scanFieldsTolerantly(input.content, input.fileName, input.context)
+        });
+    }
+
     return FieldExtractor;
 })();
 
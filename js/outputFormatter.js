@@ -13,6 +13,8 @@ window.RefExtractorOutputFormatter = (function() {
 
     // 私有变量
     let currentCitations = [];
+    let currentDocumentMatrix = null;
+    let currentCitationInstances = [];
     let formattingCache = new Map();
     let formattingStats = {
         totalFormattings: 0,
@@ -83,6 +85,14 @@ window.RefExtractorOutputFormatter = (function() {
         return `${format}_${citationsHash}_${optionsHash}`;
     }
 
+    /**
+     * 清除格式化缓存
+     * 缓存键只包含引用数据、格式和选项，其他格式输入（文档矩阵和引用实例）变化后也必须调用
+     */
+    function clearFormattingCache() {
+        formattingCache.clear();
+    }
+
     /**
      * 清理引用数据（移除引用计数）
      * @param {array} citations - 引用数组
@@ -208,6 +218,73 @@ window.RefExtractorOutputFormatter = (function() {
         }
     }
 
+    /**
+     * 将文档×条目矩阵格式化为制表符分隔的表格
+     * 每个条目一行，依次为ID、标题、总引用次数和各文档中的引用次数
+     * @param {object} matrix - 文档×条目矩阵（documents、items）
+     * @returns {string} 格式化的输出
+     */
+    function formatDocumentMatrix(matrix) {
+        const logger = getLogger();
+        logger.debug('Formatting document matrix');
+
+        if (!matrix || !Array.isArray(matrix.items) || matrix.items.length === 0) {
+            return '';
+        }
+
+        // 单元格内的制表符和换行会破坏表格结构
+        const cell = value => String(value === undefined || value === null ? '' : value).replace(/[\t\r\n]+/g, ' ');
+
+        const header = ['id', 'title', 'total', ...matrix.documents].map(cell).join('\t');
+        const rows = matrix.items.map(item =>
+            [item.id, item.title, item.total, ...item.counts].map(cell).join('\t')
+        );
+
+        return [header, ...rows].join('\n');
+    }
+
+    /**
+     * 将引用实例格式化为制表符分隔的表格
+     * 文中的每一处引用一行，包括所在文档、条目、字段的citationID和脚注编号、定位信息、前后缀和作者显示标志
+     * @param {array} instances - 引用实例数组
+     * @returns {string} 格式化的输出
+     */
+    function formatCitationInstances(instances) {
+        const logger = getLogger();
+        logger.debug('Formatting citation instances', { instanceCount: instances.length });
+
+        if (instances.length === 0) {
+            return '';
+        }
+
+        // 单元格内的制表符和换行会破坏表格结构
+        const cell = value => String(value === undefined || value === null ? '' : value).replace(/[\t\r\n]+/g, ' ');
+        const flag = value => (value ? 'yes' : '');
+
+        const header = [
+            'document', 'id', 'title', 'uri', 'citationID', 'noteIndex', 'locator', 'label',
+            'prefix', 'suffix', 'suppress-author', 'author-only', 'part', 'revision'
+        ].join('\t');
+        const rows = instances.map(instance => [
+            instance.document,
+            instance.id,
+            instance.title,
+            (instance.uris || [])[0],
+            instance.citationID,
+            instance.noteIndex,
+            instance.locator,
+            instance.label,
+            instance.prefix,
+            instance.suffix,
+            flag(instance.suppressAuthor),
+            flag(instance.authorOnly),
+            instance.part,
+            instance.revision
+        ].map(cell).join('\t'));
+
+        return [header, ...rows].join('\n');
+    }
+
     /**
      * 使用Citation.js进行格式化
      * @param {array} citations - 引用数组
@@ -359,6 +436,30 @@ window.RefExtractorOutputFormatter = (function() {
             logger.debug('Citations set for formatting', { count: currentCitations.length });
         },
 
+        /**
+         * 设置当前的文档×条目矩阵（document-matrix格式使用）
+         * @param {object|null} matrix - CitationProcessor.mergeResults返回的documentMatrix
+         */
+        setDocumentMatrix(matrix) {
+            currentDocumentMatrix = matrix || null;
+            clearFormattingCache();
+            getLogger().debug('Document matrix set for formatting', {
+                documentCount: currentDocumentMatrix ? currentDocumentMatrix.documents.length : 0
+            });
+        },
+
+        /**
+         * 设置当前的引用实例（citation-instances格式使用）
+         * @param {array|null} instances - CitationProcessor返回的citationInstances
+         */
+        setCitationInstances(instances) {
+            currentCitationInstances = Array.isArray(instances) ? [...instances] : [];
+            clearFormattingCache();
+            getLogger().debug('Citation instances set for formatting', {
+                instanceCount: currentCitationInstances.length
+            });
+        },
+
         /**
          * 格式化输出
          * @param {string} format - 目标格式
@@ -398,22 +499,28 @@ window.RefExtractorOutputFormatter = (function() {
                     throw new Error('Citations must be an array');
                 }
 
-                if (citationsToFormat.length === 0) {
+                let result;
+
+                if (format === getConfig('OUTPUT_FORMATS.DOCUMENT_MATRIX')) {
+                    // 矩阵来自setDocumentMatrix，不依赖引用数组，也不需要Citation.js
+                    result = formatDocumentMatrix(currentDocumentMatrix);
+                } else if (format === getConfig('OUTPUT_FORMATS.CITATION_INSTANCES')) {
+                    // 引用实例来自setCitationInstances，不依赖引用数组，也不需要Citation.js
+                    result = formatCitationInstances(currentCitationInstances);
+                } else if (citationsToFormat.length === 0) {
                     logger.info('No citations to format');
                     const emptyResult = '';
                     updateFormattingStats(format, true);
                     logger.endTiming('format_output');
                     return emptyResult;
-                }
-
-                let result;
-
-                // 尝试使用Citation.js格式化
-                try {
-                    result = formatWithCitationJs(citationsToFormat, format, options);
-                } catch (citationJsError) {
-                    logger.warn('Citation.js formatting failed, using fallback', citationJsError);
-                    result = formatFallback(citationsToFormat, format);
+                } else {
+                    // 尝试使用Citation.js格式化
+                    try {
+                        result = formatWithCitationJs(citationsToFormat, format, options);
+                    } catch (citationJsError) {
+                        logger.warn('Citation.js formatting failed, using fallback', citationJsError);
+                        result = formatFallback(citationsToFormat, format);
+                    }
                 }
 
                 // 缓存结果
@@ -459,6 +566,22 @@ window.RefExtractorOutputFormatter = (function() {
             return [...currentCitations];
         },
 
+        /**
+         * 获取当前的文档×条目矩阵
+         * @returns {object|null} 矩阵
+         */
+        getDocumentMatrix() {
+            return currentDocumentMatrix;
+        },
+
+        /**
+         * 获取当前的引用实例
+         * @returns {array} 引用实例数组
+         */
+        getCitationInstances() {
+            return [...currentCitationInstances];
+        },
+
         /**
          * 获取支持的输出格式
          * @returns {object} 支持的格式信息
@@ -494,7 +617,9 @@ window.RefExtractorOutputFormatter = (function() {
                 [getConfig('OUTPUT_FORMATS.BIBTEX')]: 'BibTeX format for LaTeX',
                 [getConfig('OUTPUT_FORMATS.RIS')]: 'RIS format for reference managers',
                 [getConfig('OUTPUT_FORMATS.BIBLIOGRAPHY')]: 'Formatted APA bibliography',
-                [getConfig('OUTPUT_FORMATS.BIBLIOGRAPHY_WITH_COUNTS')]: 'APA bibliography with citation counts (tab-separated)'
+                [getConfig('OUTPUT_FORMATS.BIBLIOGRAPHY_WITH_COUNTS')]: 'APA bibliography with citation counts (tab-separated)',
+                [getConfig('OUTPUT_FORMATS.DOCUMENT_MATRIX')]: 'Citation counts per document and item (tab-separated)',
+                [getConfig('OUTPUT_FORMATS.CITATION_INSTANCES')]: 'One row per in-text citation with locator, affixes and flags (tab-separated)'
             };
 
             return descriptions[format] || 'Unknown format';
@@ -530,7 +655,7 @@ window.RefExtractorOutputFormatter = (function() {
          */
         clearCache() {
             const logger = getLogger();
-            formattingCache.clear();
+            clearFormattingCache();
             logger.debug('Formatting cache cleared');
         },
 
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Papers解析模块 - 解析Papers 2（ADDIN PAPERS2_CITATIONS）和ReadCube Papers（ADDIN RW.CITE）字段
+ * @version 1.0.0
+ * @author Reference Extractor Team
+ */
+
+/**
+ * RefExtractor Papers解析器
+ * Papers 2在字段中嵌入<citation><publications>XML；ReadCube Papers只嵌入文献ID，
+ * 仅当字段携带CSL JSON时才有元数据
+ */
+window.RefExtractorPapersParser = (function() {
+    'use strict';
+
+    // 私有变量
+    let parsingStats = {
+        papers2Fields: 0,
+        readCubeFields: 0,
+        citesWithoutData: 0
+    };
+
+    /**
+     * Papers 2出版物类型代码到CSL类型的映射
+     */
+    const PUBLICATION_TYPE_MAP = {
+        '0': 'book',
+        '400': 'article-journal'
+    };
+
+    /**
+     * 获取配置的辅助函数
+     * @param {string} path - 配置路径
+     * @param {*} defaultValue - 默认值
+     * @returns {*} 配置值
+     */
+    function getConfig(path, defaultValue) {
+        if (window.RefExtractorConfig && window.RefExtractorConfig.get) {
+            return window.RefExtractorConfig.get(path, defaultValue);
+        }
+        return defaultValue;
+    }
+
+    /**
+     * 获取日志器实例
+     * @returns {object} 日志器对象
+     */
+    function getLogger() {
+        return window.RefExtractorLogger || {
+            error: console.error.bind(console),
+            warn: console.warn.bind(console),
+            info: console.info.bind(console),
+            debug: console.log.bind(console),
+            startTiming: () => {},
+            endTiming: () => 0
+        };
+    }
+
+    /**
+     * 查找直接子元素
+     * @param {Element} element - 父元素
+     * @param {string} localName - 子元素本地名称
+     * @returns {Element|null} 子元素
+     */
+    function getChild(element, localName) {
+        if (!element) {
+            return null;
+        }
+        return Array.from(element.children || []).find(child => child.localName === localName) || null;
+    }
+
+    /**
+     * 获取直接子元素文本
+     * @param {Element} element - 父元素
+     * @param {string} localName - 子元素本地名称
+     * @returns {string} 文本内容
+     */
+    function getChildText(element, localName) {
+        const child = getChild(element, localName);
+        return child ? (child.textContent || '').trim() : '';
+    }
+
+    /**
+     * 解析Papers 2日期
+     * 格式："99" + YYYYMMDD + 时间及精度信息，未知的月、日为"00"
+     * @param {string} value - 日期字符串
+     * @returns {object|null} CSL日期对象
+     */
+    function parsePublicationDate(value) {
+        const match = /^99(\d{4})(\d{2})(\d{2})/.exec(value || '');
+        if (!match) {
+            return null;
+        }
+
+        const dateParts = [parseInt(match[1], 10)];
+        const month = parseInt(match[2], 10);
+        const day = parseInt(match[3], 10);
+        if (month > 0) {
+            dateParts.push(month);
+            if (day > 0) dateParts.push(day);
+        }
+
+        return { 'date-parts': [dateParts] };
+    }
+
+    /**
+     * 将Papers 2出版物记录转换为CSL JSON条目
+     * @param {Element} publication - publication元素
+     * @param {string} itemId - 条目ID
+     * @returns {object} CSL JSON条目
+     */
+    function convertPublication(publication, itemId) {
+        const item = {
+            id: itemId,
+            type: PUBLICATION_TYPE_MAP[getChildText(publication, 'type')] || 'document'
+        };
+
+        const assign = (field, value) => {
+            if (value) {
+                item[field] = value;
+            }
+        };
+
+        const authors = Array.from((getChild(publication, 'authors') || {}).children || [])
+            .filter(author => author.localName === 'author')
+            .map(author => {
+                const name = { family: getChildText(author, 'lastName') };
+                const given = getChildText(author, 'firstName');
+                if (given) name.given = given;
+                return name;
+            })
+            .filter(name => name.family);
+        if (authors.length > 0) item.author = authors;
+
+        const startPage = getChildText(publication, 'startpage');
+        const endPage = getChildText(publication, 'endpage');
+
+        assign('title', getChildText(publication, 'title'));
+        assign('container-title', getChildText(getChild(getChild(publication, 'bundle'), 'publication'), 'title'));
+        assign('volume', getChildText(publication, 'volume'));
+        assign('issue', getChildText(publication, 'number'));
+        assign('page', endPage && startPage ? `${startPage}-${endPage}` : startPage);
+        assign('DOI', getChildText(publication, 'doi'));
+        assign('URL', getChildText(publication, 'url'));
+        assign('issued', parsePublicationDate(getChildText(publication, 'publication_date')));
+
+        return item;
+    }
+
+    // 公共API
+    const PapersParser = {
+        /**
+         * 解析Papers 2字段（ADDIN PAPERS2_CITATIONS <citation>...</citation>）
+         * @param {string} field - 字段内容
+         * @param {number} fieldIndex - 字段索引
+         * @returns {array} 引用对象数组
+         */
+        parsePapers2Field(field, fieldIndex) {
+            const logger = getLogger();
+            const citations = [];
+
+            parsingStats.papers2Fields++;
+
+            const start = field.indexOf('<citation>');
+            const end = field.lastIndexOf('</citation>');
+            if (start === -1 || end === -1) {
+                logger.debug(`Papers 2 field ${fieldIndex + 1} has no citation payload`);
+                return citations;
+            }
+
+            try {
+                const payload = field.substring(start, end + '</citation>'.length);
+                const parsedDOM = new DOMParser().parseFromString(payload, 'text/xml');
+                if (parsedDOM.getElementsByTagName('parsererror').length > 0) {
+                    throw new Error('Invalid Papers 2 XML payload');
+                }
+
+                const uriPrefix = getConfig('PAPERS.URI_PREFIX', 'papers2://publication/uuid/');
+                const publications = getChild(parsedDOM.documentElement, 'publications');
+
+                Array.from((publications || {}).children || [])
+                    .filter(publication => publication.localName === 'publication')
+                    .forEach((publication, citeIndex) => {
+                        const uuid = getChildText(publication, 'uuid');
+                        const key = `${uriPrefix}${uuid}`;
+
+                        citations.push({
+                            id: key,
+                            uris: uuid ? [key] : [],
+                            itemData: convertPublication(publication, key),
+                            _fieldIndex: fieldIndex,
+                            _citeIndex: citeIndex,
+                            _originalField: field
+                        });
+                    });
+
+                logger.debug(`Parsed ${citations.length} Papers 2 cites from field ${fieldIndex + 1}`);
+
+            } catch (error) {
+                logger.warn(`Failed to parse Papers 2 field ${fieldIndex + 1}`, {
+                    error: error.message,
+                    fieldPreview: field.substring(0, 100)
+                });
+            }
+
+            return citations;
+        },
+
+        /**
+         * 解析ReadCube Papers字段（ADDIN RW.CITE{{doc:ID 作者 年份; doc:ID ...}}）
+         * 字段只包含文献ID和显示文本，元数据保存在ReadCube账户中，因此引用不含itemData
+         * @param {string} field - 字段内容（已去除前缀）
+         * @param {number} fieldIndex - 字段索引
+         * @param {string} originalField - 原始字段内容
+         * @returns {array} 引用对象数组
+         */
+        parseReadCubeField(field, fieldIndex, originalField) {
+            const logger = getLogger();
+            const uriPrefix = getConfig('PAPERS.READCUBE_URI_PREFIX', 'readcube://doc/');
+            const match = /\{\{([\s\S]*?)\}\}/.exec(field);
+
+            parsingStats.readCubeFields++;
+
+            if (!match) {
+                logger.debug(`ReadCube field ${fieldIndex + 1} has no document references`);
+                return [];
+            }
+
+            const citations = match[1].split(';')
+                .map(reference => reference.trim().split(/\s+/)[0].replace(/^doc:/, ''))
+                .filter(documentId => documentId.length > 0)
+                .map((documentId, citeIndex) => ({
+                    id: `${uriPrefix}${documentId}`,
+                    uris: [`${uriPrefix}${documentId}`],
+                    itemData: null,
+                    _fieldIndex: fieldIndex,
+                    _citeIndex: citeIndex,
+                    _originalField: originalField || field
+                }));
+
+            parsingStats.citesWithoutData += citations.length;
+            logger.debug(`Parsed ${citations.length} ReadCube cites from field ${fieldIndex + 1}`);
+            return citations;
+        },
+
+        /**
+         * 获取解析统计信息
+         * @returns {object} 统计信息
+         */
+        getParsingStats() {
+            return { ...parsingStats };
+        },
+
+        /**
+         * 重置统计信息
+         */
+        resetStats() {
+            parsingStats = {
+                papers2Fields: 0,
+                readCubeFields: 0,
+                citesWithoutData: 0
+            };
+            getLogger().debug('Papers parsing statistics reset');
+        }
+    };
+
+    return PapersParser;
+})();
+
+// 导出模块（兼容不同模块系统）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.RefExtractorPapersParser;
+}
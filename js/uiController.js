@@ -17,6 +17,7 @@ window.RefExtractorUIController = (function() {
     let uiElements = {};
     let eventListeners = new Map();
     let clipboardInstance = null;
+    let extractionController = null;
 
     /**
      * 获取配置的辅助函数
@@ -149,7 +150,7 @@ window.RefExtractorUIController = (function() {
 
         try {
             // 重置计数器和样式信息
-            setElementState('EXTRACT_COUNT', { value: '0' });
+            setElementState('EXTRACT_COUNT', { value: '0', title: '' });
             setElementState('SELECTED_STYLE', { value: '-' });
 
             // 禁用控制按钮
@@ -179,11 +180,47 @@ window.RefExtractorUIController = (function() {
         }
     }
 
+    /**
+     * 生成参考文献表报告的说明（手动编辑的条目文本和未导出的未引用条目）
+     * @param {object} bibliography - CitationProcessor返回的参考文献表报告
+     * @returns {string} 说明文本，没有需要说明的条目时为空字符串
+     */
+    function describeBibliography(bibliography) {
+        if (!bibliography) {
+            return '';
+        }
+
+        const sections = [];
+        const custom = bibliography.custom || [];
+        const uncitedWithoutMetadata = (bibliography.uncited || []).filter(entry => !entry.hasMetadata);
+
+        if (custom.length > 0) {
+            sections.push([
+                'Edited bibliography entries:',
+                ...custom.map(entry => `- ${entry.plainText || entry.text}`)
+            ].join('\n'));
+        }
+        if (uncitedWithoutMetadata.length > 0) {
+            sections.push([
+                'Uncited items without embedded metadata (not exported):',
+                ...uncitedWithoutMetadata.map(entry => {
+                    const customEntry = custom.find(customEntry =>
+                        customEntry.uris.some(uri => entry.uris.indexOf(uri) !== -1)
+                    );
+                    return `- ${entry.uris[0]}${customEntry ? ` (${customEntry.plainText || customEntry.text})` : ''}`;
+                })
+            ].join('\n'));
+        }
+
+        return sections.join('\n\n');
+    }
+
     /**
      * 更新处理结果显示
      * @param {object} result - 处理结果
+     * @param {object} batchInfo - 批处理信息（failedCount、recoveredCount、fallbackCount、skippedCount）
      */
-    function updateProcessingResults(result) {
+    function updateProcessingResults(result, batchInfo = {}) {
         const logger = getLogger();
         logger.debug('Updating processing results', { 
             citationCount: result.citations?.length || 0 
@@ -195,14 +232,55 @@ window.RefExtractorUIController = (function() {
 
             // 更新引用计数显示
             let countText = citations.length.toString();
+            if (stats.documentCount > 1) {
+                countText += ` from ${stats.documentCount} documents`;
+            }
+            if (batchInfo.failedCount > 0) {
+                countText += ` (${batchInfo.failedCount} documents could not be read)`;
+            }
+            if (batchInfo.recoveredCount > 0) {
+                countText += ` (${batchInfo.recoveredCount} damaged documents partially recovered, results may be incomplete)`;
+            }
+            if (batchInfo.fallbackCount > 0) {
+                countText += ` (${batchInfo.fallbackCount} documents with malformed XML read by the fallback scanner, results may be incomplete)`;
+            }
+            if (batchInfo.skippedCount > 0) {
+                countText += ` (${batchInfo.skippedCount} unsupported files skipped)`;
+            }
             if (stats.duplicatesRemoved > 0) {
                 countText += ` (${stats.duplicatesRemoved} duplicates removed)`;
             }
             if (stats.citesWithoutMetadata > 0) {
                 countText += ` (${stats.citesWithoutMetadata} items without metadata)`;
             }
+            if (stats.uncitedItems > 0) {
+                const withoutMetadata = ((result.bibliography && result.bibliography.uncited) || [])
+                    .filter(entry => !entry.hasMetadata).length;
+                countText += withoutMetadata > 0
+                    ? ` (${stats.uncitedItems} uncited bibliography items, ${withoutMetadata} without metadata not exported)`
+                    : ` (${stats.uncitedItems} uncited bibliography items)`;
+            }
+            if (stats.customBibliographyEntries > 0) {
+                countText += ` (${stats.customBibliographyEntries} edited bibliography entries)`;
+            }
+            if (stats.notesOnlyItems > 0) {
+                countText += ` (${stats.notesOnlyItems} cited only in notes)`;
+            }
+            if (stats.embeddedOnlyItems > 0) {
+                countText += ` (${stats.embeddedOnlyItems} cited only in embedded documents)`;
+            }
+            if (stats.insertedCitations > 0 || stats.deletedCitations > 0) {
+                countText += ` (tracked changes: ${stats.insertedCitations} citations inserted, ${stats.deletedCitations} deleted)`;
+            }
+            if (stats.repairedFields > 0) {
+                countText += ` (${stats.repairedFields} damaged citation fields repaired)`;
+            }
+            if (stats.lostFields > 0) {
+                countText += ` (${stats.lostFields} citation fields could not be read)`;
+            }
 
-            setElementState('EXTRACT_COUNT', { value: countText });
+            // 悬停在计数上时列出编辑过的参考文献表条目和未导出的未引用条目
+            setElementState('EXTRACT_COUNT', { value: countText, title: describeBibliography(result.bibliography) });
 
             if (citations.length > 0) {
                 // 启用控制按钮
@@ -298,83 +376,168 @@ window.RefExtractorUIController = (function() {
         }
     }
 
+    /**
+     * 更新提取进度显示
+     * @param {object} progressEvent - 进度事件（stage、stageProgress、progress、message、fileName）
+     */
+    function updateProgress(progressEvent) {
+        const progress = Math.max(0, Math.min(100, progressEvent.progress || 0));
+
+        setElementState('EXTRACT_PROGRESS', {
+            style: `width: ${progress}%`,
+            'aria-valuenow': String(progress)
+        });
+        setElementState('EXTRACT_COUNT', { value: `${progressEvent.message}... ${progress}%` });
+    }
+
+    /**
+     * 切换提取进行中的界面状态（进度条和取消按钮）
+     * @param {boolean} active - 是否正在提取
+     */
+    function setExtractionActive(active) {
+        setElementState('CANCEL_BTN', { disabled: !active });
+        if (uiElements['EXTRACT_PROGRESS']) {
+            uiElements['EXTRACT_PROGRESS'].parentElement.hidden = !active;
+        }
+        if (active) {
+            setElementState('EXTRACT_PROGRESS', { style: 'width: 0%', 'aria-valuenow': '0' });
+        }
+    }
+
+    /**
+     * 处理取消按钮点击
+     */
+    function handleCancel() {
+        if (extractionController) {
+            getLogger().info('Extraction cancelled by user');
+            extractionController.abort();
+        }
+    }
+
     /**
      * 处理文件选择事件
      * @param {Event} event - 文件选择事件
      */
     async function handleFileSelect(event) {
+        getLogger().info('File selection started');
+        await processInputs(Array.from(event.target.files || []));
+    }
+
+    /**
+     * 处理拖放悬停事件（允许放置）
+     * @param {DragEvent} event - 拖放事件
+     */
+    function handleDragOver(event) {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    }
+
+    /**
+     * 处理文件和文件夹拖放事件
+     * @param {DragEvent} event - 拖放事件
+     */
+    async function handleDrop(event) {
+        const logger = getLogger();
+        event.preventDefault();
+
+        logger.info('Files dropped');
+
+        try {
+            const batchProcessor = window.RefExtractorBatchProcessor;
+            const inputs = batchProcessor
+                ? await batchProcessor.collectDroppedFiles(event.dataTransfer)
+                : Array.from(event.dataTransfer.files || []);
+            await processInputs(inputs);
+        } catch (error) {
+            logger.error('Failed to read dropped files', error);
+            setElementState('EXTRACT_COUNT', { value: `Error: ${error.message}` });
+        }
+    }
+
+    /**
+     * 处理选择或拖放的文件
+     * 多个文档（或文档压缩包）合并为一个去重的条目集
+     * @param {array} inputs - File数组或{file, path}数组
+     */
+    async function processInputs(inputs) {
         const logger = getLogger();
         const errorHandler = getErrorHandler();
 
-        logger.info('File selection started');
+        // 新的文件选择会取消尚未完成的提取；只有当前提取可以更新界面
+        let controller = null;
+        const isCurrentExtraction = () => controller !== null && extractionController === controller;
+        const firstFile = inputs[0] && (inputs[0].file || inputs[0]);
 
         try {
-            const file = event.target.files[0];
-            if (!file) {
+            if (!firstFile) {
                 logger.debug('No file selected');
                 return;
             }
 
-            logger.info('Processing selected file', {
-                fileName: file.name,
-                fileSize: file.size,
-                fileType: file.type
+            logger.info('Processing selected files', {
+                fileCount: inputs.length,
+                fileName: firstFile.name,
+                fileSize: firstFile.size,
+                fileType: firstFile.type
             });
 
+            if (extractionController) {
+                extractionController.abort();
+            }
+            controller = new AbortController();
+            extractionController = controller;
+
             // 重置页面状态
             resetToInitialState();
             currentState = 'processing';
 
-            // 检查文件类型
-            if (window.RefExtractorDocumentParser && 
-                !window.RefExtractorDocumentParser.isDocumentTypeSupported(file)) {
-                throw new Error('Unsupported file type. Please select a .docx or .odt file.');
+            // 在后台Worker中逐个解析文档、提取字段并处理引用，再合并各文档的结果
+            const batchProcessor = window.RefExtractorBatchProcessor;
+            if (!batchProcessor) {
+                throw new Error('Batch processor not available');
             }
 
-            // 解析文档
-            const documentParser = window.RefExtractorDocumentParser;
-            if (!documentParser) {
-                throw new Error('Document parser not available');
-            }
+            setExtractionActive(true);
 
-            const document = await documentParser.parse(file);
-            logger.info('Document parsed successfully', { 
-                type: document.type,
-                contentFilesCount: document.contentFiles.length 
+            const revisionMode = uiElements['REVISION_MODE'] ? uiElements['REVISION_MODE'].value : undefined;
+            const batchResult = await batchProcessor.process(inputs, {
+                revisionMode,
+                signal: controller.signal,
+                onProgress: progressEvent => {
+                    if (isCurrentExtraction()) {
+                        updateProgress(progressEvent);
+                    }
+                }
             });
 
-            // 提取字段
-            const fieldExtractor = window.RefExtractorFieldExtractor;
-            if (!fieldExtractor) {
-                throw new Error('Field extractor not available');
-            }
-
-            const fields = fieldExtractor.extractFields(document.contentFiles, document.type);
-            logger.info('Fields extracted', { fieldCount: fields.length });
-
-            // 提取样式信息
-            const styleInfo = fieldExtractor.extractStyleInfo(document.styleContent, document.type);
-            updateStyleInfo(styleInfo);
-
-            // 处理引用
-            const citationProcessor = window.RefExtractorCitationProcessor;
-            if (!citationProcessor) {
-                throw new Error('Citation processor not available');
+            if (!isCurrentExtraction()) {
+                return;
             }
 
-            const citationResult = citationProcessor.processFields(fields);
-            logger.info('Citations processed', { 
-                citationCount: citationResult.citations.length 
+            const { styleInfo, citationResult } = batchResult;
+            logger.info('Citations processed', {
+                documentCount: batchResult.documents.length,
+                failedCount: batchResult.failedCount,
+                citationCount: citationResult.citations.length
             });
 
-            // 更新显示
-            updateProcessingResults(citationResult);
+            updateStyleInfo(styleInfo);
 
-            // 设置输出格式化器的引用数据
+            // 设置输出格式化器的引用数据（文本区域显示的是格式化后的输出）
             if (window.RefExtractorOutputFormatter) {
                 window.RefExtractorOutputFormatter.setCitations(citationResult.citations);
+                window.RefExtractorOutputFormatter.setDocumentMatrix(citationResult.documentMatrix);
+                window.RefExtractorOutputFormatter.setCitationInstances(citationResult.citationInstances);
             }
 
+            // 更新显示
+            updateProcessingResults(citationResult, {
+                failedCount: batchResult.failedCount,
+                recoveredCount: batchResult.recoveredCount,
+                fallbackCount: batchResult.fallbackCount,
+                skippedCount: batchResult.skipped.length
+            });
+
             // 处理Zotero集成
             if (window.RefExtractorZoteroIntegration) {
                 try {
@@ -391,21 +554,43 @@ window.RefExtractorUIController = (function() {
             logger.info('File processing completed successfully');
 
         } catch (error) {
+            if (window.RefExtractorExtractionPipeline &&
+                window.RefExtractorExtractionPipeline.isAbortError(error)) {
+                // 被新的文件选择取代时不覆盖新提取的状态
+                if (isCurrentExtraction()) {
+                    currentState = 'cancelled';
+                    setElementState('EXTRACT_COUNT', { value: 'Extraction cancelled' });
+                }
+                logger.info('File processing cancelled');
+                return;
+            }
+
+            if (controller && !isCurrentExtraction()) {
+                return;
+            }
+
             currentState = 'error';
             
             const handledError = errorHandler.handleError(
                 getConfig('ERROR_CODES.FILE_READ_ERROR', 1001),
                 'File processing failed',
                 error,
-                { fileName: event.target.files[0]?.name }
+                { fileName: firstFile?.name, fileCount: inputs.length }
             );
 
-            // 显示错误消息
-            setElementState('EXTRACT_COUNT', { 
-                value: `Error: ${handledError.userMessage || handledError.message}` 
+            // 显示错误消息（文件错误带有针对性的处理建议，如加密文档，优先显示）
+            const userMessage = (error && error.category === 'file' && error.userMessage) ||
+                handledError.userMessage || handledError.message;
+            setElementState('EXTRACT_COUNT', {
+                value: `Error: ${userMessage}`
             });
 
             logger.error('File processing failed', handledError);
+        } finally {
+            if (isCurrentExtraction()) {
+                extractionController = null;
+                setExtractionActive(false);
+            }
         }
     }
 
@@ -523,6 +708,23 @@ window.RefExtractorUIController = (function() {
                 eventListeners.set('OUTPUT_FORMAT', { element: uiElements['OUTPUT_FORMAT'], event: 'change', handler: formatHandler });
             }
 
+            // 文件和文件夹拖放事件
+            if (uiElements['DROP_ZONE']) {
+                const dragOverHandler = handleDragOver.bind(this);
+                const dropHandler = handleDrop.bind(this);
+                uiElements['DROP_ZONE'].addEventListener('dragover', dragOverHandler);
+                uiElements['DROP_ZONE'].addEventListener('drop', dropHandler);
+                eventListeners.set('DROP_ZONE_DRAGOVER', { element: uiElements['DROP_ZONE'], event: 'dragover', handler: dragOverHandler });
+                eventListeners.set('DROP_ZONE_DROP', { element: uiElements['DROP_ZONE'], event: 'drop', handler: dropHandler });
+            }
+
+            // 取消按钮事件
+            if (uiElements['CANCEL_BTN']) {
+                const cancelHandler = handleCancel.bind(this);
+                uiElements['CANCEL_BTN'].addEventListener('click', cancelHandler);
+                eventListeners.set('CANCEL_BTN', { element: uiElements['CANCEL_BTN'], event: 'click', handler: cancelHandler });
+            }
+
             // 下载按钮事件
             if (uiElements['DOWNLOAD_BTN']) {
                 const downloadHandler = handleDownload.bind(this);
@@ -633,6 +835,11 @@ window.RefExtractorUIController = (function() {
             const logger = getLogger();
             logger.info('Destroying UI Controller');
 
+            if (extractionController) {
+                extractionController.abort();
+                extractionController = null;
+            }
+
             unbindEventListeners();
             uiElements = {};
             currentState = 'initial';
@@ -661,6 +868,13 @@ window.RefExtractorUIController = (function() {
             logger.info('UI event listeners rebound');
         },
 
+        /**
+         * 取消正在进行的提取
+         */
+        cancelExtraction() {
+            handleCancel();
+        },
+
         /**
          * 显示错误消息
          * @param {string} message - 错误消息
@@ -705,6 +919,7 @@ window.RefExtractorUIController = (function() {
                 currentState,
                 elementCount: Object.keys(uiElements).length,
                 listenerCount: eventListeners.size,
+                isExtracting: !!extractionController,
                 hasClipboard: !!clipboardInstance
             };
         }
@@ -0,0 +1,397 @@
+/**
+ * @fileoverview Word内置引文解析模块 - 解析CITATION字段及customXml中的书目源数据库（b:Sources）
+ * @version 1.0.0
+ * @author Reference Extractor Team
+ */
+
+/**
+ * RefExtractor Word书目源解析器
+ * 负责读取Word“引用 > 插入引文”功能保存的b:Source记录，并将CITATION字段解析为CSL条目
+ */
+window.RefExtractorWordSourcesParser = (function() {
+    'use strict';
+
+    // 私有变量
+    let parsingStats = {
+        sourcesFound: 0,
+        citationFields: 0,
+        unresolvedTags: 0
+    };
+
+    /**
+     * Word书目源类型到CSL类型的映射
+     */
+    const SOURCE_TYPE_MAP = {
+        Book: 'book',
+        BookSection: 'chapter',
+        JournalArticle: 'article-journal',
+        ArticleInAPeriodical: 'article-magazine',
+        ConferenceProceedings: 'paper-conference',
+        Report: 'report',
+        SoundRecording: 'song',
+        Performance: 'performance',
+        Art: 'graphic',
+        DocumentFromInternetSite: 'webpage',
+        InternetSite: 'webpage',
+        Film: 'motion_picture',
+        Interview: 'interview',
+        Patent: 'patent',
+        ElectronicSource: 'document',
+        Case: 'legal_case',
+        Misc: 'document'
+    };
+
+    /**
+     * 获取配置的辅助函数
+     * @param {string} path - 配置路径
+     * @param {*} defaultValue - 默认值
+     * @returns {*} 配置值
+     */
+    function getConfig(path, defaultValue) {
+        if (window.RefExtractorConfig && window.RefExtractorConfig.get) {
+            return window.RefExtractorConfig.get(path, defaultValue);
+        }
+        return defaultValue;
+    }
+
+    /**
+     * 获取日志器实例
+     * @returns {object} 日志器对象
+     */
+    function getLogger() {
+        return window.RefExtractorLogger || {
+            error: console.error.bind(console),
+            warn: console.warn.bind(console),
+            info: console.info.bind(console),
+            debug: console.log.bind(console),
+            startTiming: () => {},
+            endTiming: () => 0
+        };
+    }
+
+    /**
+     * 查找直接子元素
+     * @param {Element} element - 父元素
+     * @param {string} localName - 子元素本地名称
+     * @returns {Element|null} 子元素
+     */
+    function getChild(element, localName) {
+        if (!element) {
+            return null;
+        }
+        return Array.from(element.children || []).find(child => child.localName === localName) || null;
+    }
+
+    /**
+     * 获取直接子元素文本
+     * @param {Element} element - 父元素
+     * @param {string} localName - 子元素本地名称
+     * @returns {string} 文本内容
+     */
+    function getChildText(element, localName) {
+        const child = getChild(element, localName);
+        return child ? (child.textContent || '').trim() : '';
+    }
+
+    /**
+     * 解析贡献者列表（b:Author/b:{角色}/b:NameList/b:Person 或 b:Corporate）
+     * @param {Element} source - b:Source元素
+     * @param {string} role - 角色名称（Author、Editor等）
+     * @returns {array} CSL姓名数组
+     */
+    function parseContributors(source, role) {
+        const roleElement = getChild(getChild(source, 'Author'), role);
+        if (!roleElement) {
+            return [];
+        }
+
+        const corporate = getChildText(roleElement, 'Corporate');
+        if (corporate) {
+            return [{ literal: corporate }];
+        }
+
+        const nameList = getChild(roleElement, 'NameList');
+        if (!nameList) {
+            return [];
+        }
+
+        return Array.from(nameList.children || [])
+            .filter(person => person.localName === 'Person')
+            .map(person => {
+                const name = { family: getChildText(person, 'Last') };
+                const given = [getChildText(person, 'First'), getChildText(person, 'Middle')]
+                    .filter(Boolean)
+                    .join(' ');
+                if (given) name.given = given;
+                return name;
+            })
+            .filter(name => name.family);
+    }
+
+    /**
+     * 将b:Source记录转换为CSL JSON条目
+     * @param {Element} source - b:Source元素
+     * @param {string} itemId - 条目ID
+     * @returns {object} CSL JSON条目
+     */
+    function convertSource(source, itemId) {
+        const type = SOURCE_TYPE_MAP[getChildText(source, 'SourceType')] || 'document';
+        const item = { id: itemId, type };
+
+        const assign = (field, value) => {
+            if (value) {
+                item[field] = value;
+            }
+        };
+
+        const authors = parseContributors(source, 'Author');
+        const editors = parseContributors(source, 'Editor');
+        const translators = parseContributors(source, 'Translator');
+        if (authors.length > 0) item.author = authors;
+        if (editors.length > 0) item.editor = editors;
+        if (translators.length > 0) item.translator = translators;
+
+        assign('title', getChildText(source, 'Title'));
+        assign('container-title',
+            getChildText(source, 'JournalName') ||
+            getChildText(source, 'PeriodicalTitle') ||
+            getChildText(source, 'BookTitle') ||
+            getChildText(source, 'ConferenceName') ||
+            getChildText(source, 'InternetSiteTitle'));
+        assign('page', getChildText(source, 'Pages'));
+        assign('volume', getChildText(source, 'Volume'));
+        assign('issue', getChildText(source, 'Issue'));
+        assign('edition', getChildText(source, 'Edition'));
+        assign('publisher', getChildText(source, 'Publisher') || getChildText(source, 'Institution'));
+        assign('publisher-place', getChildText(source, 'City'));
+        assign('genre', getChildText(source, 'ThesisType'));
+        assign('URL', getChildText(source, 'URL'));
+        assign('DOI', getChildText(source, 'DOI'));
+
+        const standardNumber = getChildText(source, 'StandardNumber');
+        if (standardNumber) {
+            item[type === 'article-journal' ? 'ISSN' : 'ISBN'] = standardNumber.replace(/^(ISBN|ISSN):?\s*/i, '');
+        }
+
+        const year = parseInt(getChildText(source, 'Year'), 10);
+        if (!isNaN(year)) {
+            const dateParts = [year];
+            const month = parseMonth(getChildText(source, 'Month'));
+            const day = parseInt(getChildText(source, 'Day'), 10);
+            if (month) {
+                dateParts.push(month);
+                if (!isNaN(day)) dateParts.push(day);
+            }
+            item.issued = { 'date-parts': [dateParts] };
+        }
+
+        return item;
+    }
+
+    /**
+     * 解析月份（数字或英文月份名称）
+     * @param {string} month - 月份字符串
+     * @returns {number} 月份（1-12），无法解析时返回0
+     */
+    function parseMonth(month) {
+        const numeric = parseInt(month, 10);
+        if (!isNaN(numeric) && numeric >= 1 && numeric <= 12) {
+            return numeric;
+        }
+
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        const index = months.indexOf(String(month).trim().substring(0, 3).toLowerCase());
+        return index === -1 ? 0 : index + 1;
+    }
+
+    /**
+     * 解析CITATION字段指令
+     * 格式：CITATION 标记 [\p 页码] [\s 后缀] [\f 前缀] [\m 其他标记]... [\l 语言ID]
+     * @param {string} field - 字段内容
+     * @returns {array} 引用实例数组（tag及可选的locator、prefix、suffix等）
+     */
+    function parseInstruction(field) {
+        const tokens = field.trim().match(/"[^"]*"|\S+/g) || [];
+        const unquote = token => token.replace(/^"|"$/g, '');
+        const cites = [];
+
+        // tokens[0]为CITATION关键字，tokens[1]为第一个标记
+        if (tokens.length < 2 || tokens[1].charAt(0) === '\\') {
+            return cites;
+        }
+
+        let current = { tag: unquote(tokens[1]) };
+        cites.push(current);
+
+        for (let i = 2; i < tokens.length; i++) {
+            const token = tokens[i];
+            const next = tokens[i + 1] !== undefined ? unquote(tokens[i + 1]) : '';
+
+            switch (token.toLowerCase()) {
+                case '\\m':
+                    current = { tag: next };
+                    cites.push(current);
+                    i++;
+                    break;
+                case '\\p':
+                    current.locator = next;
+                    i++;
+                    break;
+                case '\\s':
+                    current.suffix = next;
+                    i++;
+                    break;
+                case '\\f':
+                    current.prefix = next;
+                    i++;
+                    break;
+                case '\\v':
+                    current.volume = next;
+                    i++;
+                    break;
+                case '\\l':
+                    i++;
+                    break;
+                case '\\n':
+                    current['suppress-author'] = true;
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        return cites.filter(cite => cite.tag);
+    }
+
+    // 公共API
+    const WordSourcesParser = {
+        /**
+         * 从辅助文件中解析书目源数据库
+         * @param {object} auxiliaryFiles - 文件路径到XML内容的映射
+         * @returns {Map} 标记到CSL条目的映射
+         */
+        parseSourcesFromParts(auxiliaryFiles) {
+            const logger = getLogger();
+            const sources = new Map();
+            const namespaces = getConfig('NAMESPACES.BIBLIOGRAPHY', [
+                'http://schemas.openxmlformats.org/officeDocument/2006/bibliography'
+            ]);
+
+            Object.entries(auxiliaryFiles || {}).forEach(([fileName, content]) => {
+                // 先做廉价的文本检查，避免解析不相关的customXml部件
+                if (!content || !namespaces.some(namespace => content.indexOf(namespace) !== -1)) {
+                    return;
+                }
+
+                try {
+                    const parsedDOM = new DOMParser().parseFromString(content, 'text/xml');
+                    const root = parsedDOM.documentElement;
+                    if (!root || root.localName !== 'Sources' || !namespaces.includes(root.namespaceURI)) {
+                        return;
+                    }
+
+                    this.parseSources(root).forEach((item, tag) => sources.set(tag, item));
+                    logger.debug(`Parsed Word bibliography sources from ${fileName}`);
+                } catch (error) {
+                    logger.warn(`Failed to parse Word bibliography sources from ${fileName}`, error);
+                }
+            });
+
+            parsingStats.sourcesFound = sources.size;
+            logger.info('Word bibliography sources parsed', { sourceCount: sources.size });
+            return sources;
+        },
+
+        /**
+         * 解析b:Sources元素
+         * @param {Element} sourcesElement - b:Sources根元素
+         * @returns {Map} 标记到CSL条目的映射
+         */
+        parseSources(sourcesElement) {
+            const sources = new Map();
+            const uriPrefix = getConfig('WORD_SOURCES.URI_PREFIX', 'word-source://');
+
+            Array.from(sourcesElement.children || [])
+                .filter(element => element.localName === 'Source')
+                .forEach(source => {
+                    const tag = getChildText(source, 'Tag');
+                    if (tag) {
+                        sources.set(tag, convertSource(source, `${uriPrefix}${tag}`));
+                    }
+                });
+
+            return sources;
+        },
+
+        /**
+         * 判断字段是否为Word内置引文字段
+         * @param {string} field - 字段内容
+         * @returns {boolean} 是否为CITATION字段
+         */
+        isCitationField(field) {
+            const prefix = getConfig('CITATION_PREFIXES.WORD_CITATION', /^CITATION\s/);
+            return typeof field === 'string' && prefix.test(field.trim());
+        },
+
+        /**
+         * 解析CITATION字段并关联书目源
+         * @param {string} field - 字段内容
+         * @param {number} fieldIndex - 字段索引
+         * @param {Map} sources - 标记到CSL条目的映射
+         * @returns {array} 引用对象数组
+         */
+        parseField(field, fieldIndex, sources) {
+            const logger = getLogger();
+            const uriPrefix = getConfig('WORD_SOURCES.URI_PREFIX', 'word-source://');
+
+            parsingStats.citationFields++;
+
+            return parseInstruction(field).map((cite, citeIndex) => {
+                const itemData = sources && sources.get(cite.tag) ? { ...sources.get(cite.tag) } : null;
+
+                if (!itemData) {
+                    parsingStats.unresolvedTags++;
+                    logger.debug(`Word citation tag ${cite.tag} in field ${fieldIndex + 1} has no matching source`);
+                }
+
+                const { tag, ...details } = cite;
+                return {
+                    ...details,
+                    id: `${uriPrefix}${tag}`,
+                    uris: [`${uriPrefix}${tag}`],
+                    itemData,
+                    _fieldIndex: fieldIndex,
+                    _citeIndex: citeIndex,
+                    _originalField: field
+                };
+            });
+        },
+
+        /**
+         * 获取解析统计信息
+         * @returns {object} 统计信息
+         */
+        getParsingStats() {
+            return { ...parsingStats };
+        },
+
+        /**
+         * 重置统计信息
+         */
+        resetStats() {
+            parsingStats = {
+                sourcesFound: 0,
+                citationFields: 0,
+                unresolvedTags: 0
+            };
+            getLogger().debug('Word sources parsing statistics reset');
+        }
+    };
+
+    return WordSourcesParser;
+})();
+
+// 导出模块（兼容不同模块系统）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.RefExtractorWordSourcesParser;
+}